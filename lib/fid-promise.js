@@ -27,8 +27,20 @@
 }("FidPromise", this, function () {
     "use strict";
     // fid-umd end
+    /*global AbortController, AggregateError, Event, Map, MessageChannel, module, performance, process, queueMicrotask, self, setImmediate, Symbol, WeakRef*/
 
-    var addCallbacks, attachTo, callNext, complete, debugMessage, FidPromise, getId, getThen;
+    var addCallbacks, addTimeout, asyncStorage, attachTo, callHooks, callNext, callProgress, cancelPromise, captureStack, claimInputs, complete, currentContext, debugMessage, FidPromise, finishTask, flushGeneration, flushRequested, flushTasks, getContext, getCreationSite, getId, getThen, getState, hookList, linkInput, logEvent, makeAggregateError, makeInputList, makeMessageChannelScheduler, makeNodeCallback, makeReadOnly, makeRef, mapLimited, matchesFilter, nodeRequire, now, pendingRejections, releaseInputs, removeSignalListeners, reportHandled, requestFlush, runInContext, runQueue, schedule, startTask, stitchStack, taskIndex, taskLimit, taskQueue, testState, throwLater, toArray, traceEvent, traceListeners, trackRejection, watchInputs;
+
+    currentContext = undefined;
+    flushGeneration = 0;
+    flushRequested = false;
+    hookList = [];
+    pendingRejections = [];
+    taskIndex = 0;
+    taskLimit = null;
+    taskQueue = [];
+    testState = null;
+    traceListeners = [];
 
     /**
      * Accept onSuccess and onFailure callbacks to our arrays and can
@@ -37,48 +49,135 @@
      * @param {FidPromise} promise
      * @param {Function} [onSuccess]
      * @param {Function} [onError]
-     * @param {FidPromise} [nextPromise]
-     * @return this
+     * @param {Function} [onProgress]
+     * @param {*} [errorFilter] Only call onError for matching reasons
+     * @return {FidPromise} nextPromise
      */
-    addCallbacks = function (promise, onSuccess, onError) {
+    addCallbacks = function (promise, onSuccess, onError, onProgress, errorFilter) {
         var nextPromise, thenCall;
 
-        debugMessage(promise, 'Adding callbacks and creating new promise');
         nextPromise = new FidPromise();
+        nextPromise.parentPromise = promise;
+        traceEvent(promise, 'callbacksAdded', 'Adding callbacks and creating new promise', {
+            child: nextPromise
+        });
+
+        // The new promise's creation stack is where the callbacks were
+        // added.  Follow it with the stacks leading up to this promise.
+        if (nextPromise.longStack && promise.longStack) {
+            nextPromise.longStack = nextPromise.longStack.concat(promise.longStack).slice(0, FidPromise.longStackDepth);
+        }
 
         thenCall = {
+            context: getContext(),
+            errorFilter: errorFilter,
             onSuccess: onSuccess,
             onError: onError,
+            onProgress: onProgress,
             nextPromise: nextPromise
         };
 
-        promise.thenCallArray.push(thenCall);
+        // Cancelled promises never settle, so neither would the child
+        if (promise.cancelled) {
+            debugMessage(promise, 'Already cancelled - cancelling new promise');
+            nextPromise.parentPromise = null;
+            nextPromise.cancel(promise.cancelReason);
 
-        if (promise.state !== null) {
-            debugMessage(promise, 'Already resolved, state is ' + promise.state);
-            callNext(promise, thenCall);
+            return nextPromise;
+        }
+
+        // Settled promises do not keep their callbacks.  They are called
+        // right away and then forgotten so long-lived promises do not grow.
+        if (promise.state === null) {
+            promise.thenCallArray.push(thenCall);
+
+            return nextPromise;
+        }
+
+        if (promise.state === false) {
+            promise.rejectionHandled = true;
+
+            if (promise.unhandledReported) {
+                reportHandled(promise);
+            }
         }
 
+        debugMessage(promise, 'Already resolved, state is ' + promise.state);
+        nextPromise.parentPromise = null;
+        callNext(promise, thenCall);
+
         return nextPromise;
     };
 
 
+    /**
+     * Reject an aggregate from when() or after() with a
+     * FidPromise.TimeoutError when it is still waiting after a while.
+     * The error's pending property lists the keys of the inputs that have
+     * not settled.  The returned function clears the timer once the
+     * aggregate is completed.
+     *
+     * @param {FidPromise} aggregate
+     * @param {number} ms
+     * @param {Array} keys
+     * @param {Array.<boolean>} pending True for inputs that have not settled
+     * @return {Function}
+     */
+    addTimeout = function (aggregate, ms, keys, pending) {
+        var timer;
+
+        function clear() {
+            if (timer !== null) {
+                FidPromise.clock.clearTimeout(timer);
+                timer = null;
+            }
+        }
+
+        timer = FidPromise.clock.setTimeout(function () {
+            var err, waiting;
+
+            timer = null;
+            waiting = keys.filter(function (key, index) {
+                return pending[index];
+            });
+            err = new FidPromise.TimeoutError('Timed out after ' + ms + 'ms with ' + waiting.length + ' still pending');
+            err.pending = waiting;
+            debugMessage(aggregate, 'Timed out');
+            aggregate.reject(err);
+        }, ms);
+        aggregate.onCancel(clear);
+
+        return function () {
+            if (aggregate.state !== null) {
+                clear();
+            }
+        };
+    };
+
+
     /**
      * @typedef {Object} FidPromise.thenCall
+     * @property {*} context From FidPromise.context when it was added
+     * @property {*} errorFilter See matchesFilter()
      * @property {Function} onSuccess
      * @property {Function} onError
+     * @property {Function} onProgress
      * @property {FidPromise} nextPromise
      */
 
     /**
      * Attach a promise to another promise via its 'then' method
      *
+     * If the other promise's then() returns something that can be
+     * cancelled, it is remembered so cancelling this promise can also
+     * cancel the work it is waiting on.
+     *
      * @param {FidPromise} promise
      * @param {Object} otherPromise
      * @param {Function} otherThen
      */
     attachTo = function (promise, otherPromise, otherThen) {
-        var otherId, wasCalled;
+        var context, otherId, result, wasCalled;
 
         function doubleCheck(thisType) {
             if (wasCalled) {
@@ -92,19 +191,46 @@
         }
 
         otherId = 'other' + getId();
-        debugMessage(promise, 'Attaching to another promise: ' + otherId);
+
+        if (otherPromise instanceof FidPromise) {
+            promise.adoptedFrom = makeRef(otherPromise);
+        }
+        traceEvent(promise, 'attached', 'Attaching to another promise: ' + otherId, {
+            otherId: otherId
+        });
+        callHooks('adopt', promise, otherPromise);
         wasCalled = false;
 
+        // The other promise may call these from anywhere, so bring along
+        // the context that was active when adopting it.
+        context = getContext();
+
         try {
-            otherThen.call(otherPromise, function (success) {
-                if (doubleCheck('Resolved')) {
-                    promise.resolve(success);
-                }
-            }, function (failure) {
-                if (doubleCheck('Rejected')) {
-                    promise.reject(failure);
-                }
+            result = runInContext(context, function () {
+                return otherThen.call(otherPromise, function (success) {
+                    runInContext(context, function () {
+                        if (doubleCheck('Resolved')) {
+                            promise.resolve(success);
+                        }
+                    });
+                }, function (failure) {
+                    runInContext(context, function () {
+                        if (doubleCheck('Rejected')) {
+                            promise.reject(failure);
+                        }
+                    });
+                }, function (progress) {
+                    runInContext(context, function () {
+                        if (!wasCalled) {
+                            promise.notify(progress);
+                        }
+                    });
+                });
             });
+
+            if (!wasCalled && result && typeof result.cancel === 'function') {
+                promise.adoptedPromise = result;
+            }
         } catch (ex) {
             if (doubleCheck('Caught error thrown during then()')) {
                 promise.reject(ex);
@@ -113,6 +239,41 @@
     };
 
 
+    /**
+     * Call one kind of hook from every registered set of hooks.  Errors
+     * go to the onError hook of the same set instead of being thrown, so
+     * they never change how a promise settles.
+     *
+     * @param {string} name init, settle, before, after or adopt
+     * @param {FidPromise} promise
+     * @param {*} [other] The child promise or the adopted thenable
+     */
+    callHooks = function (name, promise, other) {
+        if (!hookList.length) {
+            return;
+        }
+
+        hookList.slice().forEach(function (hooks) {
+            if (typeof hooks[name] === 'function') {
+                try {
+                    hooks[name].call(hooks, promise, other);
+                } catch (ex) {
+                    debugMessage(promise, 'Hook threw an error: ' + name + ' - ' + ex);
+
+                    // Buggy tools must not take the process down
+                    if (typeof hooks.onError === 'function') {
+                        try {
+                            hooks.onError.call(hooks, ex, name, promise);
+                        } catch (ignore) {
+                            debugMessage(promise, 'Hook onError threw an error');
+                        }
+                    }
+                }
+            }
+        });
+    };
+
+
     /**
      * Call the right function on a thenCall object, passing in this
      * promise's data.
@@ -135,20 +296,218 @@
             return;
         }
 
-        // Use setTimeout to avoid call stack limits
-        setTimeout(function () {
-            var success, value;
+        // Queue the call to avoid call stack limits
+        schedule(function () {
+            var matched, success, value;
+
+            if (thenCall.nextPromise.cancelled) {
+                debugMessage(parentPromise, 'Next promise was cancelled - skipping callback');
+                return;
+            }
+
+            if (!parentPromise.state && thenCall.errorFilter !== undefined) {
+                try {
+                    matched = runInContext(thenCall.context, function () {
+                        return matchesFilter(thenCall.errorFilter, parentPromise.data);
+                    });
+                } catch (ex) {
+                    debugMessage(parentPromise, 'Error filter threw an error');
+                    complete(thenCall.nextPromise, false, ex);
+                    return;
+                }
+
+                if (!matched) {
+                    debugMessage(parentPromise, 'Reason did not match the error filter - passing to child');
+                    complete(thenCall.nextPromise, false, parentPromise.data);
+                    return;
+                }
+            }
+
+            traceEvent(parentPromise, 'callbackStarted', 'Calling callback', {
+                child: thenCall.nextPromise
+            });
 
             try {
-                value = fn.call(undefined, parentPromise.data);
+                value = runInContext(thenCall.context, function () {
+                    callHooks('before', parentPromise, thenCall.nextPromise);
+
+                    try {
+                        return fn.call(undefined, parentPromise.data);
+                    } finally {
+                        callHooks('after', parentPromise, thenCall.nextPromise);
+                    }
+                });
                 success = true;
             } catch (ex) {
                 value = ex;
                 success = false;
             }
 
-            complete(thenCall.nextPromise, success, value);
-        }, 0); // Execute immediately
+            traceEvent(parentPromise, 'callbackFinished', 'Callback ' + (success ? 'returned' : 'threw'), {
+                child: thenCall.nextPromise
+            });
+
+            // Keep the context when adopting a returned thenable
+            runInContext(thenCall.context, function () {
+                complete(thenCall.nextPromise, success, value);
+            });
+        });
+    };
+
+
+    /**
+     * Pass a progress notification to a thenCall's onProgress callback and
+     * then along to its next promise.
+     *
+     * @param {FidPromise} parentPromise
+     * @param {FidPromise~thenCall} thenCall
+     * @param {*} value
+     */
+    callProgress = function (parentPromise, thenCall, value) {
+        schedule(function () {
+            if (thenCall.nextPromise.cancelled) {
+                return;
+            }
+
+            if (typeof thenCall.onProgress === 'function') {
+                try {
+                    runInContext(thenCall.context, function () {
+                        thenCall.onProgress.call(undefined, value);
+                    });
+                } catch (ex) {
+                    debugMessage(parentPromise, 'Progress callback threw an error');
+                    throwLater(ex);
+                }
+            }
+
+            thenCall.nextPromise.notify(value);
+        });
+    };
+
+
+    /**
+     * Cancel a pending promise.  Cancellation flows down to every promise
+     * created by then() and up to parents when every one of their
+     * consumers has been cancelled.  A worklist is used instead of
+     * recursion so long chains can not blow up the call stack.
+     *
+     * @param {FidPromise} promise
+     * @param {*} reason
+     */
+    cancelPromise = function (promise, reason) {
+        var callbackErrors, current, index, parent, queue;
+
+        function allConsumersCancelled(target) {
+            return target.state === null && target.thenCallArray.every(function (thenCall) {
+                return thenCall.nextPromise.cancelled;
+            });
+        }
+
+        queue = [promise];
+        callbackErrors = [];
+
+        for (index = 0; index < queue.length; index += 1) {
+            current = queue[index];
+
+            if (current.state === null && !current.cancelled) {
+                current.cancelled = true;
+                current.cancelReason = reason;
+                traceEvent(current, 'cancelled', 'Cancelled');
+                removeSignalListeners(current);
+                current.thenCallArray.forEach(function (thenCall) {
+                    queue.push(thenCall.nextPromise);
+                });
+
+                if (current.adoptedPromise) {
+                    if (current.adoptedPromise instanceof FidPromise) {
+                        queue.push(current.adoptedPromise);
+                    } else {
+                        try {
+                            current.adoptedPromise.cancel(reason);
+                        } catch (ex) {
+                            callbackErrors.push(ex);
+                        }
+                    }
+
+                    current.adoptedPromise = null;
+                }
+
+                current.adoptedFrom = null;
+                current.dependencies = null;
+                current.watchedInputs = null;
+
+                parent = current.parentPromise;
+                current.parentPromise = null;
+
+                // Some consumers may stop listening but not cancel
+                if (parent && !current.protectsParent && allConsumersCancelled(parent)) {
+                    debugMessage(parent, 'Every consumer was cancelled');
+                    queue.push(parent);
+                }
+
+                if (current.cancelCallbacks) {
+                    current.cancelCallbacks.forEach(function (fn) {
+                        try {
+                            fn.call(undefined, reason);
+                        } catch (ex) {
+                            callbackErrors.push(ex);
+                        }
+                    });
+                    current.cancelCallbacks = null;
+                }
+            }
+        }
+
+        // Report errors from cancel handlers without stopping propagation
+        callbackErrors.forEach(throwLater);
+    };
+
+
+    /**
+     * Record where a promise is being created, but only while debugging
+     * and only for the sampled portion of promises.
+     *
+     * @return {?Error}
+     */
+    captureStack = function () {
+        if (!FidPromise.debug || FidPromise.longStackDepth < 1) {
+            return null;
+        }
+
+        if (FidPromise.longStackSampleRate < 1 && Math.random() >= FidPromise.longStackSampleRate) {
+            return null;
+        }
+
+        return new Error('Promise created');
+    };
+
+
+    /**
+     * Turn the thenables in a list into FidPromises and mark their
+     * rejections as handled.  Used by helpers that only wait on an input
+     * once its turn comes, so an input that is rejected early is not
+     * reported as unhandled.
+     *
+     * @param {Array} list
+     * @return {Array}
+     */
+    claimInputs = function (list) {
+        return list.map(function (item) {
+            var input;
+
+            if (!getThen(item)) {
+                return item;
+            }
+
+            input = FidPromise.resolve(item);
+            input.rejectionHandled = true;
+
+            if (input.unhandledReported) {
+                reportHandled(input);
+            }
+
+            return input;
+        });
     };
 
 
@@ -161,7 +520,7 @@
      * @param {*} value Value for resolved/rejected promise
      */
     complete = function (promise, wasSuccess, value) {
-        var err, then;
+        var err, then, thenCalls;
 
         if (!promise) {
             return;
@@ -180,6 +539,11 @@
             return;
         }
 
+        if (promise.cancelled) {
+            debugMessage(promise, 'Complete called on a cancelled promise - ignoring');
+            return;
+        }
+
         then = null;
 
         try {
@@ -199,45 +563,130 @@
         }
 
         promise.state = !!wasSuccess;  // Force to be a boolean
-        debugMessage(promise, 'Complete - state is now ' + promise.state);
+        traceEvent(promise, 'settled', 'Complete - state is now ' + promise.state, {
+            state: promise.state
+        });
+
+        if (!promise.state) {
+            stitchStack(promise, value);
+        }
+
         promise.data = value;
-        promise.thenCallArray.forEach(function (thenCall) {
+        promise.adoptedFrom = null;
+        promise.adoptedPromise = null;
+        promise.cancelCallbacks = null;
+        promise.dependencies = null;
+        promise.parentPromise = null;
+        promise.watchedInputs = null;
+        removeSignalListeners(promise);
+        callHooks('settle', promise);
+
+        // Release the callbacks once they are passed along.  Children
+        // can wait a long time on whatever their callback returns and
+        // must not keep this promise and its data alive meanwhile.
+        thenCalls = promise.thenCallArray;
+        promise.thenCallArray = null;
+        thenCalls.forEach(function (thenCall) {
+            thenCall.nextPromise.parentPromise = null;
             callNext(promise, thenCall);
         });
+
+        if (!promise.state && !thenCalls.length) {
+            trackRejection(promise);
+        }
     };
 
 
     /**
-     * Debugging is built into this promise implementation
-     *
-     * Enable it globally:  FidPromise.debug = true;
-     * Enable it locally:  myPromise.debug = true;
-     * Use your own logger:  FidPromise.debug = yourLoggerCallback
+     * Send a debug message that is not one of the other trace events.
      *
      * @param {FidPromise} promise
      * @param {string} message
      */
     debugMessage = function (promise, message) {
-        var debug, fullMessage;
+        traceEvent(promise, 'message', message);
+    };
 
-        debug = FidPromise.debug || promise.debug;
 
-        if (debug) {
-            if (!promise.id) {
-                promise.id = getId();
-            }
+    /**
+     * A task from FidPromise.Queue is done or was cancelled while it was
+     * running.  Make room for the next one.
+     *
+     * @param {FidPromise.Queue} queue
+     * @param {Object} waiter
+     */
+    finishTask = function (queue, waiter) {
+        if (!waiter.finished) {
+            waiter.finished = true;
+            queue.running -= 1;
+            runQueue(queue);
+        }
+    };
+
+
+    /**
+     * Run every queued task, including ones that are added while running.
+     * Each task is called from this loop, so a long chain of promises
+     * never grows the call stack.  If a task throws, another flush is
+     * requested for the remaining tasks before the error is passed along.
+     * When taskLimit is a number, stop once that many tasks have run.
+     */
+    flushTasks = function () {
+        var task;
 
-            fullMessage = promise.id + ': ' + message;
+        try {
+            while (taskIndex < taskQueue.length && taskLimit !== 0) {
+                task = taskQueue[taskIndex];
+                taskQueue[taskIndex] = null;
+                taskIndex += 1;
+
+                if (taskLimit !== null) {
+                    taskLimit -= 1;
+                }
 
-            if (typeof debug === 'function') {
-                debug(fullMessage);
+                task();
+            }
+        } finally {
+            if (taskIndex < taskQueue.length) {
+                requestFlush();
             } else {
-                console.log(fullMessage);
+                flushRequested = false;
+                taskIndex = 0;
+                taskQueue = [];
             }
         }
     };
 
 
+    /**
+     * Get the context that is active right now.  See FidPromise.context.
+     *
+     * @return {*}
+     */
+    getContext = function () {
+        if (asyncStorage) {
+            return asyncStorage.getStore();
+        }
+
+        return currentContext;
+    };
+
+
+    /**
+     * Find the stack trace from when a promise was created.
+     *
+     * @param {FidPromise} promise
+     * @return {(string|undefined)}
+     */
+    getCreationSite = function (promise) {
+        if (promise.longStack) {
+            return promise.longStack[0].stack;
+        }
+
+        return undefined;
+    };
+
+
     /**
      * Generate a random ID
      *
@@ -255,6 +704,25 @@
         return id.substr(0, 10);
     };
 
+    /**
+     * Describe the state of a promise with a word.
+     *
+     * @param {FidPromise} promise
+     * @return {string} pending, fulfilled, rejected or cancelled
+     */
+    getState = function (promise) {
+        if (promise.cancelled) {
+            return 'cancelled';
+        }
+
+        if (promise.state === null) {
+            return 'pending';
+        }
+
+        return promise.state ? 'fulfilled' : 'rejected';
+    };
+
+
     /**
      * Determines if something is "thenable" according to A+ spec
      *
@@ -277,225 +745,3938 @@
 
 
     /**
-     * Create a new FidPromise
+     * Link an input to an aggregate promise made by when(), after() and
+     * the other combinators.  FidPromise inputs are remembered so
+     * FidPromise.inspect() can find them.
      *
-     * @class FidPromise
-     */
-    FidPromise = function () {
-        if (!(this instanceof FidPromise)) {
-            return new FidPromise();
-        }
-
-        this.data = [];
-        this.state = null;
-        this.thenCallArray = [];
-        debugMessage(this, 'New promise');
-    };
-
-
-    /**
-     * Resolve or reject only after every other promise is resolved or
-     * rejected.  Like the when() method, but rejections are held back
-     * until all promises are done and then only the first rejection is
-     * sent via a rejection.  See when() for more details.
+     * When the aggregate is cancelled, cancel the consumer of the input
+     * (or the input itself).  Cancelling the consumer lets the input
+     * decide if it has other consumers.
      *
-     * @param Array promises
-     * @return this
+     * @param {FidPromise} aggregate
+     * @param {Object} input Thenable passed to when() or after()
+     * @param {*} consumer What input.then() returned
      */
-    FidPromise.prototype.after = function (promises) {
-        var endSuccess, failResults, myself, successResults, waitingFor;
-
-        waitingFor = 0;
-        endSuccess = true;
-        successResults = [];
-        failResults = [];
-        myself = this;
+    linkInput = function (aggregate, input, consumer) {
+        var target;
 
-        function checkCount() {
-            if (waitingFor === 0) {
-                debugMessage(myself, '(after) Final error count ' + failResults.length);
-
-                if (endSuccess) {
-                    myself.resolve(successResults);
-                } else {
-                    myself.reject(failResults);
-                }
+        if (input instanceof FidPromise && aggregate.state === null) {
+            if (!aggregate.dependencies) {
+                aggregate.dependencies = [];
             }
-        }
 
-        promises.forEach(function (promise, index) {
-            if (getThen(promise)) {
-                waitingFor += 1;
-                debugMessage(myself, '(after) Adding then');
-                promise.then(function (result) {
-                    waitingFor -= 1;
+            aggregate.dependencies.push(makeRef(input));
+        }
 
-                    if (result !== undefined) {
-                        successResults[index] = result;
-                    }
+        if (consumer && typeof consumer.cancel === 'function') {
+            target = consumer;
+        } else if (typeof input.cancel === 'function') {
+            target = input;
+        } else {
+            return;
+        }
 
-                    debugMessage(myself, '(after resolved) ' + waitingFor + ' left');
-                    checkCount();
-                }, function (result) {
-                    waitingFor -= 1;
-                    failResults.push(result);
-                    endSuccess = false;
-                    debugMessage(myself, '(after rejected) ' + waitingFor + ' left');
-                    checkCount();
-                });
-            }
+        aggregate.onCancel(function (reason) {
+            target.cancel(reason);
         });
-
-        // Ok, now we can check to see if we are waiting for things
-        checkCount();
-        return this;
     };
 
 
     /**
-     * On success or failure, run this method.
+     * Create an error that holds several other errors.  Uses the native
+     * AggregateError when there is one.
      *
-     * @return {FidPromise}
+     * @param {Array} errors
+     * @param {string} message
+     * @return {Error}
      */
-    FidPromise.prototype.always = function (fn) {
-        return addCallbacks(this, fn, fn);
+    makeAggregateError = function (errors, message) {
+        var err;
+
+        if (typeof AggregateError === 'function') {
+            return new AggregateError(errors, message);
+        }
+
+        err = new Error(message);
+        err.name = 'AggregateError';
+        err.errors = errors;
+
+        return err;
     };
 
 
     /**
-     * On failure only, run this method.
+     * Debugging is built into this promise implementation.  This writes
+     * trace events as strings.
      *
+     * Enable it globally:  FidPromise.debug = true;
+     * Enable it locally:  myPromise.debug = true;
+     * Use your own logger:  FidPromise.debug = yourLoggerCallback
+     *
+     * @param {(boolean|Function)} debug
+     * @param {FidPromise~traceEvent} event
+     */
+    logEvent = function (debug, event) {
+        var fullMessage;
+
+        fullMessage = event.id + ': ';
+
+        if (event.label) {
+            fullMessage += '[' + event.label + '] ';
+        }
+
+        fullMessage += event.message;
+
+        if (typeof debug === 'function') {
+            debug(fullMessage);
+        } else {
+            console.log(fullMessage);
+        }
+    };
+
+
+    /**
+     * Split the input of when() and after() into keys and values.  Maps
+     * keep their keys, everything else is treated as an iterable and is
+     * keyed by index.  The build function turns a list of results back
+     * into the same shape as the input.
+     *
+     * @param {(Array|Map|Iterable)} collection
+     * @return {FidPromise~inputList}
+     */
+    makeInputList = function (collection) {
+        var keys, values;
+
+        if (typeof Map === 'function' && collection instanceof Map) {
+            keys = [];
+            values = [];
+            collection.forEach(function (value, key) {
+                keys.push(key);
+                values.push(value);
+            });
+
+            return {
+                build: function (results) {
+                    var map;
+
+                    map = new Map();
+                    keys.forEach(function (key, index) {
+                        map.set(key, results[index]);
+                    });
+
+                    return map;
+                },
+                keys: keys,
+                values: values
+            };
+        }
+
+        values = toArray(collection);
+
+        return {
+            build: function (results) {
+                return results;
+            },
+            keys: values.map(function (value, index) {
+                return index;
+            }),
+            values: values
+        };
+    };
+
+
+    /**
+     * @typedef {Object} FidPromise~inputList
+     * @property {Function} build
+     * @property {Array} keys
+     * @property {Array} values
+     */
+
+
+    /**
+     * Build a scheduler that posts a message to itself.  Browsers do not
+     * clamp these like they do with setTimeout.  In node the port only
+     * keeps the process running while work is queued.
+     *
+     * @return {Function}
+     */
+    makeMessageChannelScheduler = function () {
+        var channel, waiting;
+
+        waiting = [];
+
+        return function (fn) {
+            if (!channel) {
+                channel = new MessageChannel();
+                channel.port1.onmessage = function () {
+                    var next;
+
+                    next = waiting.shift();
+
+                    // Let node exit once nothing is queued
+                    if (!waiting.length && typeof channel.port1.unref === 'function') {
+                        channel.port1.unref();
+                    }
+
+                    next();
+                };
+            }
+
+            if (!waiting.length && typeof channel.port1.ref === 'function') {
+                channel.port1.ref();
+            }
+
+            waiting.push(fn);
+            channel.port2.postMessage(0);
+        };
+    };
+
+
+    /**
+     * Build a node-style (err, value) callback that settles a promise.
+     *
+     * @param {FidPromise} promise
+     * @param {boolean} multiArgs Resolve with an array of every value
+     * @return {Function}
+     */
+    makeNodeCallback = function (promise, multiArgs) {
+        return function (err) {
+            if (err) {
+                promise.reject(err);
+            } else if (multiArgs) {
+                promise.resolve(Array.prototype.slice.call(arguments, 1));
+            } else {
+                promise.resolve(arguments[1]);
+            }
+        };
+    };
+
+
+    /**
+     * Build a read-only view of a promise.  It has every method of the
+     * promise, but the ones that would settle or cancel it are ignored,
+     * or throw in strict mode.  Methods that return the promise itself return the
+     * view instead so the promise never leaks out.  Promises chained
+     * through the view can be cancelled without cancelling this one.
+     *
+     * @param {FidPromise} promise
+     * @param {boolean} strict
+     * @return {Object}
+     */
+    makeReadOnly = function (promise, strict) {
+        var blocked, name, view;
+
+        blocked = ['after', 'any', 'cancel', 'cancelOn', 'notify', 'race', 'reject', 'resolve', 'some', 'when'];
+        view = {};
+
+        function blocker(methodName) {
+            return function () {
+                if (strict) {
+                    throw new Error('Can not call ' + methodName + '() on a read-only promise');
+                }
+
+                debugMessage(promise, 'Read-only view - ignoring ' + methodName + '()');
+
+                return view;
+            };
+        }
+
+        function consumer(methodName) {
+            return function () {
+                var count, result;
+
+                count = promise.thenCallArray ? promise.thenCallArray.length : 0;
+                result = FidPromise.prototype[methodName].apply(promise, arguments);
+
+                // Whatever was chained through the view may be cancelled,
+                // but that must not reach the promise
+                if (promise.thenCallArray) {
+                    promise.thenCallArray.slice(count).forEach(function (thenCall) {
+                        thenCall.nextPromise.protectsParent = true;
+                    });
+                }
+
+                if (result === promise) {
+                    return view;
+                }
+
+                return result;
+            };
+        }
+
+        for (name in FidPromise.prototype) {
+            if (typeof FidPromise.prototype[name] === 'function') {
+                if (blocked.indexOf(name) === -1) {
+                    view[name] = consumer(name);
+                } else {
+                    view[name] = blocker(name);
+                }
+            }
+        }
+
+        view.asReadOnly = function () {
+            return view;
+        };
+
+        return view;
+    };
+
+
+    /**
+     * Reference an object without keeping it in memory, when the platform
+     * supports WeakRef.  Otherwise this is a normal reference that has
+     * the same interface.
+     *
+     * @param {Object} target
+     * @return {Object} Has a deref() method
+     */
+    makeRef = function (target) {
+        if (typeof WeakRef === 'function') {
+            return new WeakRef(target);
+        }
+
+        return {
+            deref: function () {
+                return target;
+            }
+        };
+    };
+
+
+    /**
+     * Call a function for every item, but only have a limited number of
+     * calls running at once.  Items that are thenables are resolved
+     * before the function is called with (value, index).  Results are
+     * in the same order as the items.
+     *
+     * Like when(), this rejects on the first failure and stops starting
+     * more work.  Set options.failFast to false to work like after(),
+     * where everything is run and then this is rejected with an array of
+     * every failure, in the same order as the items.
+     *
+     * @param {*} items Array or iterable
+     * @param {Function} fn
+     * @param {Object} [options] concurrency and failFast
+     * @return {FidPromise}
+     */
+    mapLimited = function (items, fn, options) {
+        var aggregate, concurrency, failFast, failResults, list, nextIndex, results, running, stopped;
+
+        function startNext() {
+            while (!stopped && running < concurrency && nextIndex < list.length) {
+                start(nextIndex);
+                nextIndex += 1;
+            }
+
+            if (!stopped && !running && nextIndex >= list.length) {
+                debugMessage(aggregate, '(map) Everything is done');
+
+                if (failResults.length) {
+                    // Remove the holes left by successful items
+                    aggregate.reject(failResults.filter(function () {
+                        return true;
+                    }));
+                } else {
+                    aggregate.resolve(results);
+                }
+            }
+        }
+
+        function start(index) {
+            var work;
+
+            running += 1;
+            debugMessage(aggregate, '(map) Starting item ' + index + ', ' + running + ' running');
+            work = FidPromise.resolve(list[index]).then(function (value) {
+                return fn(value, index);
+            });
+            linkInput(aggregate, work, work.then(function (result) {
+                running -= 1;
+                results[index] = result;
+                startNext();
+            }, function (reason) {
+                running -= 1;
+
+                if (failFast) {
+                    stopped = true;
+                    aggregate.reject(reason);
+                } else {
+                    failResults[index] = reason;
+                    startNext();
+                }
+            }));
+        }
+
+        aggregate = new FidPromise();
+        options = options || {};
+        concurrency = options.concurrency > 0 ? options.concurrency : Infinity;
+        failFast = options.failFast !== false;
+        failResults = [];
+        nextIndex = 0;
+        results = [];
+        running = 0;
+        stopped = false;
+
+        try {
+            list = claimInputs(toArray(items));
+        } catch (ex) {
+            aggregate.reject(ex);
+
+            return aggregate;
+        }
+
+        results.length = list.length;
+        aggregate.onCancel(function () {
+            stopped = true;
+        });
+        startNext();
+
+        return aggregate;
+    };
+
+
+    /**
+     * Check if a rejection reason matches a filter given to error().
+     *
+     *   Class - The reason is an instance of it.  Error and its
+     *     subclasses, ES classes and constructors with methods on their
+     *     prototype count as classes.
+     *   Function - Matches instances like a class.  Otherwise it is
+     *     called with the reason and matches when it returns truthy.
+     *     There is no telling a bare constructor from a predicate, so
+     *     such constructors get called too.
+     *   Object - Every property is strictly equal on the reason
+     *   Array - Any of the filters in it match
+     *
+     * @param {(Function|Object|Array)} filter
+     * @param {*} reason
+     * @return {boolean}
+     */
+    matchesFilter = function (filter, reason) {
+        function isClass(fn) {
+            if (fn === Error || fn.prototype instanceof Error) {
+                return true;
+            }
+
+            if (!fn.prototype) {
+                return false;
+            }
+
+            if (/^class\b/.test(Function.prototype.toString.call(fn))) {
+                return true;
+            }
+
+            return Object.getOwnPropertyNames(fn.prototype).some(function (name) {
+                return name !== 'constructor';
+            });
+        }
+
+        if (Array.isArray(filter)) {
+            return filter.some(function (item) {
+                return matchesFilter(item, reason);
+            });
+        }
+
+        if (typeof filter === 'function') {
+            // Plain constructors look just like predicates, so instances
+            // are checked before anything is called
+            if (filter.prototype && reason instanceof filter) {
+                return true;
+            }
+
+            if (isClass(filter)) {
+                return false;
+            }
+
+            return !!filter(reason);
+        }
+
+        if (reason === null || reason === undefined) {
+            return false;
+        }
+
+        return Object.keys(filter).every(function (key) {
+            return reason[key] === filter[key];
+        });
+    };
+
+
+    /**
+     * Load one of node's core modules.  This does not call require()
+     * directly so bundlers like browserify and webpack do not try to pack
+     * the module into browser builds.
+     *
+     * @param {string} name
+     * @return {*} The module, or null outside of node
+     */
+    nodeRequire = function (name) {
+        var loader;
+
+        if (typeof process !== 'object' || !process || !process.versions || !process.versions.node) {
+            return null;
+        }
+
+        if (typeof module !== 'object' || !module || typeof module.require !== 'function') {
+            return null;
+        }
+
+        // Bundlers look for require() and module.require() calls
+        loader = module;
+
+        try {
+            return loader.require(name);
+        } catch (ignore) {
+            return null;
+        }
+    };
+
+    // Contexts also follow native async work when AsyncLocalStorage exists
+    asyncStorage = nodeRequire('async_hooks');
+
+    if (asyncStorage && typeof asyncStorage.AsyncLocalStorage === 'function') {
+        asyncStorage = new asyncStorage.AsyncLocalStorage();
+    } else {
+        asyncStorage = null;
+    }
+
+
+    /**
+     * Get a timestamp in milliseconds from the best clock available.
+     * Only differences between timestamps are meaningful.  In test mode
+     * this is the virtual clock.
+     *
+     * @return {number}
+     */
+    now = function () {
+        var time;
+
+        if (testState) {
+            return testState.time;
+        }
+
+        if (typeof performance !== 'undefined' && performance && typeof performance.now === 'function') {
+            return performance.now();
+        }
+
+        if (typeof process !== 'undefined' && process && typeof process.hrtime === 'function') {
+            time = process.hrtime();
+
+            return time[0] * 1e3 + time[1] / 1e6;
+        }
+
+        return Date.now();
+    };
+
+
+    /**
+     * Once race(), any() or some() is decided, stop listening to the
+     * inputs that have not settled.  Cancelling our consumers also
+     * cancels an input when nothing else is waiting on it.
+     *
+     * @param {FidPromise} aggregate
+     */
+    releaseInputs = function (aggregate) {
+        var consumers;
+
+        consumers = aggregate.watchedInputs;
+        aggregate.watchedInputs = null;
+
+        if (consumers) {
+            debugMessage(aggregate, 'Releasing inputs that are still pending');
+            consumers.forEach(function (consumer) {
+                if (consumer.isPending()) {
+                    consumer.cancel();
+                }
+            });
+        }
+    };
+
+
+    /**
+     * Stop listening to any AbortSignal passed to cancelOn().
+     *
+     * @param {FidPromise} promise
+     */
+    removeSignalListeners = function (promise) {
+        if (promise.signalListeners) {
+            promise.signalListeners.forEach(function (signalListener) {
+                signalListener.signal.removeEventListener('abort', signalListener.listener);
+            });
+            promise.signalListeners = null;
+        }
+    };
+
+
+    /**
+     * A rejection that was reported as unhandled now has a handler.
+     *
+     * @param {FidPromise} promise
+     */
+    reportHandled = function (promise) {
+        promise.unhandledReported = false;
+        debugMessage(promise, 'Rejection was handled late');
+
+        if (typeof FidPromise.onRejectionHandled === 'function') {
+            FidPromise.onRejectionHandled({
+                creationSite: getCreationSite(promise),
+                id: promise.id,
+                promise: promise,
+                reason: promise.data
+            });
+        }
+    };
+
+
+    /**
+     * Ask the scheduler to flush the task queue.  Flushes that were
+     * requested before test mode started are ignored when they finally
+     * run, because test mode requests its own.
+     */
+    requestFlush = function () {
+        var generation;
+
+        generation = flushGeneration;
+        FidPromise.scheduler(function () {
+            if (generation === flushGeneration) {
+                flushTasks();
+            }
+        });
+    };
+
+
+    /**
+     * Call a function with a context being active and return its result.
+     * Uses AsyncLocalStorage when available so the context also follows
+     * timers and native promises started by the function.  Otherwise the
+     * context is only active while the function runs.
+     *
+     * @param {*} context
+     * @param {Function} fn
+     * @return {*}
+     */
+    runInContext = function (context, fn) {
+        var previous;
+
+        if (asyncStorage) {
+            return asyncStorage.run(context, fn);
+        }
+
+        previous = currentContext;
+        currentContext = context;
+
+        try {
+            return fn();
+        } finally {
+            currentContext = previous;
+        }
+    };
+
+
+    /**
+     * Start tasks from a FidPromise.Queue while there is room.  Once
+     * nothing is running or waiting, resolve the onIdle() promises and
+     * call the drain listeners.
+     *
+     * @param {FidPromise.Queue} queue
+     */
+    runQueue = function (queue) {
+        var idlePromises;
+
+        while (!queue.paused && queue.running < queue.concurrency && queue.waiters.length) {
+            startTask(queue, queue.waiters.shift());
+        }
+
+        if (queue.running || queue.waiters.length || !queue.busy) {
+            return;
+        }
+
+        queue.busy = false;
+        idlePromises = queue.idlePromises;
+        queue.idlePromises = [];
+        idlePromises.forEach(function (promise) {
+            promise.resolve();
+        });
+        queue.drainListeners.slice().forEach(function (listener) {
+            try {
+                listener(queue);
+            } catch (ex) {
+                throwLater(ex);
+            }
+        });
+    };
+
+
+    /**
+     * Add a task to the queue and make sure the queue will be flushed.
+     *
+     * @param {Function} task
+     */
+    schedule = function (task) {
+        taskQueue.push(task);
+
+        if (!flushRequested) {
+            flushRequested = true;
+            requestFlush();
+        }
+    };
+
+
+    /**
+     * Run a task from a FidPromise.Queue.  The task is called from the
+     * scheduler.  Its promise is settled before the next task starts so
+     * drain listeners see every result.
+     *
+     * @param {FidPromise.Queue} queue
+     * @param {Object} waiter
+     */
+    startTask = function (queue, waiter) {
+        queue.running += 1;
+        waiter.consumer = FidPromise.resolve().then(function () {
+            var result, task;
+
+            task = FidPromise.resolve(waiter.task());
+            result = task;
+
+            if (waiter.timeout !== undefined) {
+                result = task.timeout(waiter.timeout);
+
+                // Nobody else waits on the task, so stop it once given up
+                result.then(null, function () {
+                    task.cancel();
+                });
+            }
+
+            return result;
+        }).then(function (value) {
+            queue.completed += 1;
+            waiter.promise.resolve(value);
+            finishTask(queue, waiter);
+        }, function (reason) {
+            queue.failed += 1;
+            waiter.promise.reject(reason);
+            finishTask(queue, waiter);
+        });
+    };
+
+
+    /**
+     * Add the stacks of every promise leading up to a rejection to the
+     * reason.  The combined trace is saved as reason.fidStack and also
+     * replaces reason.stack when possible.  Reasons that already have a
+     * fidStack are left alone so the trace points at where the rejection
+     * started, not where it was passed along.
+     *
+     * @param {FidPromise} promise
+     * @param {*} reason
+     */
+    stitchStack = function (promise, reason) {
+        var trace;
+
+        if (!promise.longStack || !reason || typeof reason !== 'object' || reason.fidStack) {
+            return;
+        }
+
+        trace = promise.longStack.map(function (err) {
+            // Remove the "Error: Promise created" line
+            return 'From previous event:\n' + String(err.stack).split('\n').slice(1).join('\n');
+        });
+        trace.unshift(reason.stack || String(reason));
+
+        try {
+            reason.fidStack = trace.join('\n');
+            reason.stack = reason.fidStack;
+        } catch (ignore) {
+            debugMessage(promise, 'Unable to add the long stack trace to the reason');
+        }
+    };
+
+
+    /**
+     * Throw an error from user code on a fresh stack so it gets reported
+     * without disturbing the promise that caught it.  In test mode the
+     * error is held until FidPromise.testing.flush() throws it instead.
+     *
+     * @param {*} ex
+     */
+    throwLater = function (ex) {
+        if (testState) {
+            testState.errors.push(ex);
+
+            return;
+        }
+
+        setTimeout(function () {
+            throw ex;
+        }, 0);
+    };
+
+
+    /**
+     * Copy an array, an iterable or an array-like object into a new array.
+     *
+     * @param {*} iterable
+     * @return {Array}
+     * @throws {TypeError} When it can not be iterated
+     */
+    toArray = function (iterable) {
+        var iterator, result, step;
+
+        if (Array.isArray(iterable)) {
+            return iterable.slice();
+        }
+
+        if (iterable !== null && iterable !== undefined) {
+            if (typeof Symbol === 'function' && typeof iterable[Symbol.iterator] === 'function') {
+                result = [];
+                iterator = iterable[Symbol.iterator]();
+                step = iterator.next();
+
+                while (!step.done) {
+                    result.push(step.value);
+                    step = iterator.next();
+                }
+
+                return result;
+            }
+
+            if (typeof iterable === 'string' || (typeof iterable === 'object' && typeof iterable.length === 'number')) {
+                return Array.prototype.slice.call(iterable);
+            }
+        }
+
+        throw new TypeError('Object is not iterable: ' + iterable);
+    };
+
+
+    /**
+     * @typedef {Object} FidPromise.traceEvent
+     * @property {string} type created, callbacksAdded, attached, settled,
+     *   cancelled, callbackStarted, callbackFinished or message
+     * @property {string} id ID of the promise
+     * @property {(string|undefined)} label The promise's label
+     * @property {string} message Human readable description
+     * @property {number} time Timestamp in milliseconds
+     * @property {string} [childId] Promise created by then() or whose
+     *   callback is being called
+     * @property {string} [otherId] Thenable this promise is waiting on
+     * @property {boolean} [state] State of a settled promise
+     */
+
+    /**
+     * Build a trace event and send it to trace listeners and the debug
+     * logger.  Nothing is built unless something is listening.  Errors
+     * from listeners are rethrown later instead of here.
+     *
+     * @param {FidPromise} promise
+     * @param {string} type
+     * @param {string} message
+     * @param {Object} [details] A child promise and other properties
+     */
+    traceEvent = function (promise, type, message, details) {
+        var debug, event;
+
+        debug = FidPromise.debug || promise.debug;
+
+        if (!debug && !traceListeners.length) {
+            return;
+        }
+
+        if (!promise.id) {
+            promise.id = getId();
+        }
+
+        event = {
+            id: promise.id,
+            label: promise.label,
+            message: message,
+            time: now(),
+            type: type
+        };
+
+        if (details) {
+            if (details.child) {
+                if (!details.child.id) {
+                    details.child.id = getId();
+                }
+
+                event.childId = details.child.id;
+            }
+
+            if (details.otherId) {
+                event.otherId = details.otherId;
+            }
+
+            if (details.state !== undefined) {
+                event.state = details.state;
+            }
+        }
+
+        // Events come from the middle of settling, so a broken listener
+        // must not interrupt it
+        traceListeners.slice().forEach(function (listener) {
+            try {
+                listener(event);
+            } catch (ex) {
+                throwLater(ex);
+            }
+        });
+
+        if (debug) {
+            try {
+                logEvent(debug, event);
+            } catch (ex) {
+                throwLater(ex);
+            }
+        }
+    };
+
+
+    /**
+     * Remember a rejected promise that has nothing attached to it.  After
+     * the current turn, the ones that still have nothing attached are
+     * reported as unhandled.
+     *
+     * @param {FidPromise} promise
+     */
+    trackRejection = function (promise) {
+        pendingRejections.push(promise);
+
+        if (pendingRejections.length > 1) {
+            return;
+        }
+
+        FidPromise.scheduler(function () {
+            var rejections;
+
+            rejections = pendingRejections;
+            pendingRejections = [];
+            rejections.forEach(function (rejected) {
+                if (rejected.rejectionHandled) {
+                    return;
+                }
+
+                if (!rejected.id) {
+                    rejected.id = getId();
+                }
+
+                rejected.unhandledReported = true;
+                debugMessage(rejected, 'Unhandled rejection');
+
+                if (typeof FidPromise.onUnhandledRejection === 'function') {
+                    FidPromise.onUnhandledRejection({
+                        creationSite: getCreationSite(rejected),
+                        id: rejected.id,
+                        promise: rejected,
+                        reason: rejected.data
+                    });
+                }
+            });
+        });
+    };
+
+
+    /**
+     * Wait on every input for one of the static combinators.  Each input
+     * is passed through FidPromise.resolve() so plain values count as
+     * already resolved.  The aggregate is rejected when the inputs can not
+     * be iterated.  The promises listening to the inputs are kept in
+     * aggregate.watchedInputs for releaseInputs().
+     *
+     * @param {FidPromise} aggregate
+     * @param {*} iterable
+     * @param {Function} onSuccess Called with (value, index)
+     * @param {Function} onError Called with (reason, index)
+     * @return {?number} Number of inputs, null if the aggregate was rejected
+     */
+    watchInputs = function (aggregate, iterable, onSuccess, onError) {
+        var items;
+
+        try {
+            items = toArray(iterable);
+        } catch (ex) {
+            debugMessage(aggregate, 'Unable to iterate inputs');
+            aggregate.reject(ex);
+
+            return null;
+        }
+
+        if (!aggregate.watchedInputs) {
+            aggregate.watchedInputs = [];
+        }
+
+        items.forEach(function (item, index) {
+            var consumer, input;
+
+            input = FidPromise.resolve(item);
+            consumer = input.then(function (value) {
+                onSuccess(value, index);
+            }, function (reason) {
+                onError(reason, index);
+            });
+            aggregate.watchedInputs.push(consumer);
+            linkInput(aggregate, input, consumer);
+        });
+
+        return items.length;
+    };
+
+
+    /**
+     * Create a new FidPromise
+     *
+     * Optionally pass an executor like you would for a native Promise.  It
+     * is called immediately with resolve, reject and notify functions.
+     * Anything it throws will reject the promise.
+     *
+     *   promise = new FidPromise(function (resolve, reject) {
+     *       fs.readFile('config.json', function (err, data) {
+     *           if (err) {
+     *               reject(err);
+     *           } else {
+     *               resolve(data);
+     *           }
+     *       });
+     *   });
+     *
+     * @class FidPromise
+     * @param {Function} [executor]
+     */
+    FidPromise = function (executor) {
+        var error, myself;
+
+        if (!(this instanceof FidPromise)) {
+            return new FidPromise(executor);
+        }
+
+        this.state = null;
+        this.thenCallArray = [];
+        error = captureStack();
+
+        if (error) {
+            this.longStack = [error];
+        }
+
+        traceEvent(this, 'created', 'New promise');
+        callHooks('init', this);
+
+        if (typeof executor === 'function') {
+            myself = this;
+
+            try {
+                executor.call(undefined, function (value) {
+                    myself.resolve(value);
+                }, function (reason) {
+                    myself.reject(reason);
+                }, function (value) {
+                    myself.notify(value);
+                });
+            } catch (ex) {
+                debugMessage(this, 'Executor threw an error');
+                this.reject(ex);
+            }
+        }
+    };
+
+
+    /**
+     * Get an AbortSignal that is aborted when this promise is cancelled.
+     * Handy for passing along to fetch() and similar APIs.
+     *
+     * @return {AbortSignal}
+     */
+    FidPromise.prototype.abortSignal = function () {
+        var controller;
+
+        if (typeof AbortController !== 'function') {
+            throw new Error('AbortController is not available');
+        }
+
+        if (!this.abortController) {
+            controller = new AbortController();
+            this.abortController = controller;
+
+            if (this.cancelled) {
+                controller.abort(this.cancelReason);
+            } else {
+                this.onCancel(function (reason) {
+                    controller.abort(reason);
+                });
+            }
+        }
+
+        return this.abortController.signal;
+    };
+
+
+    /**
+     * Resolve or reject only after every other promise is resolved or
+     * rejected.  Like the when() method, but rejections are held back
+     * until all promises are done.  The rejection is an array of every
+     * reason in input order and its indexes property lists the index (or
+     * Map key) of each input that failed.  See when() for more details.
+     *
+     * Pass {detailed: true} to always resolve with a
+     * FidPromise~settlement for each input instead.  They say how the
+     * input settled and how long it took.
+     *
+     * Pass {legacy: true} to get the old behavior, where values that are
+     * not thenables are skipped, undefined results are left out and the
+     * reasons are in the order they happened.
+     *
+     * Pass {timeout: ms} to reject with a FidPromise.TimeoutError when
+     * the inputs take too long.  Its pending property lists the index (or
+     * Map key) of every input that was still pending.
+     *
+     * @param {(Array|Map|Iterable)} promises
+     * @param {Object} [options]
+     * @param {boolean} [options.detailed=false]
+     * @param {boolean} [options.legacy=false]
+     * @param {number} [options.timeout]
+     * @return this
+     */
+    FidPromise.prototype.after = function (promises, options) {
+        var checkTimeout, detailed, failCount, failResults, inputs, legacy, myself, pending, settlements, startedAt, successResults, total, waitingFor;
+
+        detailed = !!(options && options.detailed);
+        legacy = !detailed && !!(options && options.legacy);
+        inputs = makeInputList(promises);
+        startedAt = now();
+        settlements = [];
+        pending = [];
+        checkTimeout = null;
+        waitingFor = 0;
+        total = 0;
+        failCount = 0;
+        successResults = [];
+        failResults = [];
+        myself = this;
+
+        function notifyCount() {
+            myself.notify({
+                done: total - waitingFor,
+                total: total
+            });
+        }
+
+        function settled(index, status, result, settledAt) {
+            var settlement;
+
+            settlement = {
+                status: status,
+                index: inputs.keys[index],
+                startedAt: startedAt,
+                settledAt: settledAt
+            };
+            settlement.durationMs = settlement.settledAt - startedAt;
+
+            if (status === 'fulfilled') {
+                settlement.value = result;
+            } else {
+                settlement.reason = result;
+            }
+
+            settlements[index] = settlement;
+        }
+
+        function settle(index) {
+            pending[index] = false;
+            checkCount();
+
+            if (checkTimeout) {
+                checkTimeout();
+            }
+        }
+
+        function checkCount() {
+            var reasons;
+
+            if (waitingFor === 0) {
+                debugMessage(myself, '(after) Final error count ' + failCount);
+
+                if (detailed) {
+                    myself.resolve(inputs.build(settlements));
+                } else if (!failCount) {
+                    myself.resolve(inputs.build(successResults));
+                } else if (legacy) {
+                    myself.reject(failResults);
+                } else {
+                    reasons = [];
+                    reasons.indexes = [];
+                    failResults.forEach(function (reason, index) {
+                        reasons.push(reason);
+                        reasons.indexes.push(inputs.keys[index]);
+                    });
+                    myself.reject(reasons);
+                }
+            }
+        }
+
+        inputs.values.forEach(function (promise, index) {
+            if (getThen(promise)) {
+                waitingFor += 1;
+                total += 1;
+                pending[index] = true;
+                debugMessage(myself, '(after) Adding then');
+                linkInput(myself, promise, promise.then(function (result) {
+                    waitingFor -= 1;
+                    settled(index, 'fulfilled', result, now());
+
+                    if (!legacy || result !== undefined) {
+                        successResults[index] = result;
+                    }
+
+                    debugMessage(myself, '(after resolved) ' + waitingFor + ' left');
+                    notifyCount();
+                    settle(index);
+                }, function (result) {
+                    waitingFor -= 1;
+                    failCount += 1;
+                    settled(index, 'rejected', result, now());
+
+                    if (legacy) {
+                        failResults.push(result);
+                    } else {
+                        failResults[index] = result;
+                    }
+
+                    debugMessage(myself, '(after rejected) ' + waitingFor + ' left');
+                    notifyCount();
+                    settle(index);
+                }));
+            } else if (!legacy) {
+                successResults[index] = promise;
+                settled(index, 'fulfilled', promise, startedAt);
+            }
+        });
+
+        // Ok, now we can check to see if we are waiting for things
+        checkCount();
+
+        if (waitingFor && options && typeof options.timeout === 'number') {
+            checkTimeout = addTimeout(this, options.timeout, inputs.keys, pending);
+        }
+
+        return this;
+    };
+
+
+    /**
+     * @typedef {Object} FidPromise~settlement
+     * @property {string} status "fulfilled" or "rejected"
+     * @property {*} [value] When fulfilled
+     * @property {*} [reason] When rejected
+     * @property {*} index Index of the input, or its key in a Map
+     * @property {number} startedAt When after() was called, see now()
+     * @property {number} settledAt When the input settled
+     * @property {number} durationMs
+     */
+
+
+    /**
+     * On success or failure, run this method.
+     *
+     * @return {FidPromise}
+     */
+    FidPromise.prototype.always = function (fn) {
+        return addCallbacks(this, fn, fn);
+    };
+
+
+    /**
+     * Resolve as soon as any input is resolved.  If every input is
+     * rejected, reject with an AggregateError holding every reason in the
+     * same order as the inputs.  Once resolved, the inputs that are still
+     * pending are released like they are for race().
+     *
+     * @param {Iterable} promises Promises, thenables or plain values
+     * @return this
+     */
+    FidPromise.prototype.any = function (promises) {
+        var myself, reasons, waitingFor;
+
+        myself = this;
+        reasons = [];
+        waitingFor = watchInputs(this, promises, function (value) {
+            releaseInputs(myself);
+            myself.resolve(value);
+        }, function (reason, index) {
+            reasons[index] = reason;
+            waitingFor -= 1;
+
+            if (!waitingFor) {
+                myself.reject(makeAggregateError(reasons, 'All promises were rejected'));
+            }
+        });
+
+        if (waitingFor === 0) {
+            this.reject(makeAggregateError(reasons, 'All promises were rejected'));
+        }
+
+        return this;
+    };
+
+
+    /**
+     * Get a view of this promise for consumers.  They can add callbacks
+     * and check the state, but can not resolve, reject, notify or cancel
+     * it.  Those calls are ignored unless strict is set, in which case
+     * they throw.  Consumers can still cancel the promises they get from
+     * then().
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false]
+     * @return {Object}
+     */
+    FidPromise.prototype.asReadOnly = function (options) {
+        return makeReadOnly(this, !!(options && options.strict));
+    };
+
+
+    /**
+     * On failure only, run this method.  Same as error(), named to match
+     * native promises.  Also accepts a filter first.
+     *
+     * @param {(Function|Object|Array)} [filter]
+     * @param {Function} onError
+     * @return {FidPromise}
+     */
+    FidPromise.prototype['catch'] = function () {
+        return FidPromise.prototype.error.apply(this, arguments);
+    };
+
+
+    /**
+     * Cancel this promise if it is still pending.  Callbacks on this
+     * promise and every promise chained from it will not be called.
+     * Parents are cancelled as well when this was their only consumer.
+     *
+     * @param {*} [reason]
+     */
+    FidPromise.prototype.cancel = function (reason) {
+        if (this.state !== null) {
+            debugMessage(this, 'Cancel called on a completed promise - ignoring');
+            return;
+        }
+
+        cancelPromise(this, reason);
+    };
+
+
+    /**
+     * Cancel this promise when the AbortSignal is aborted.
+     *
+     * @param {AbortSignal} signal
+     * @return this
+     */
+    FidPromise.prototype.cancelOn = function (signal) {
+        var listener, myself;
+
+        myself = this;
+
+        if (signal.aborted) {
+            this.cancel(signal.reason);
+
+            return this;
+        }
+
+        if (this.state === null && !this.cancelled) {
+            listener = function () {
+                myself.cancel(signal.reason);
+            };
+
+            if (!this.signalListeners) {
+                this.signalListeners = [];
+            }
+
+            this.signalListeners.push({
+                listener: listener,
+                signal: signal
+            });
+            signal.addEventListener('abort', listener);
+        }
+
+        return this;
+    };
+
+
+    /**
+     * Wait a while before passing along the value.  Rejections are passed
+     * along right away.  The timer uses FidPromise.clock and is cleared
+     * when the new promise is cancelled.
+     *
+     * @param {number} ms
+     * @return {FidPromise}
+     */
+    FidPromise.prototype.delay = function (ms) {
+        var result, timer;
+
+        result = new FidPromise();
+        timer = null;
+        linkInput(result, this, this.then(function (value) {
+            debugMessage(result, '(delay) Waiting ' + ms + 'ms');
+            timer = FidPromise.clock.setTimeout(function () {
+                timer = null;
+                result.resolve(value);
+            }, ms);
+        }, function (reason) {
+            result.reject(reason);
+        }, function (progress) {
+            result.notify(progress);
+        }));
+        result.onCancel(function () {
+            if (timer !== null) {
+                FidPromise.clock.clearTimeout(timer);
+                timer = null;
+            }
+        });
+
+        return result;
+    };
+
+
+    /**
+     * On failure only, run this method.  When a filter is passed first,
+     * only reasons that match it are handled and the rest are passed
+     * along to the returned promise.
+     *
+     *   promise.error(NotFoundError, useDefaults);
+     *   promise.error([TypeError, RangeError], reportBug);
+     *   promise.error({code: 'ENOENT'}, createFile);
+     *   promise.error(function (err) {
+     *       return err.retryable;
+     *   }, retry);
+     *
+     * The filter can be a class, a predicate function, an object whose
+     * properties must all be equal on the reason, or an array of any of
+     * those.  See matchesFilter() for how classes are told apart from
+     * predicates.  A filter that throws rejects the returned promise.
+     * then() does not take filters because Promises/A+ requires it to
+     * ignore arguments that are not functions.
+     *
+     * @param {(Function|Object|Array)} [filter]
+     * @param {Function} fn
+     * @return {FidPromise}
+     * @throws {TypeError} When the filter is not one of those
+     */
+    FidPromise.prototype.error = function (filter, fn) {
+        if (arguments.length < 2) {
+            return addCallbacks(this, null, filter);
+        }
+
+        if (!filter || (typeof filter !== 'function' && typeof filter !== 'object')) {
+            throw new TypeError('Invalid error filter: ' + filter);
+        }
+
+        return addCallbacks(this, null, fn, null, filter);
+    };
+
+
+    /**
+     * Run a function when this promise is done, just like native
+     * promises.  The function is not passed anything and the value or
+     * reason is passed along unchanged.  If the function throws or returns
+     * a promise that is rejected, that rejection is passed along instead.
+     * This is unlike always(), where the function's result replaces the
+     * value.
+     *
+     * @param {Function} fn
+     * @return {FidPromise}
+     */
+    FidPromise.prototype['finally'] = function (fn) {
+        if (typeof fn !== 'function') {
+            return addCallbacks(this, fn, fn);
+        }
+
+        return addCallbacks(this, function (value) {
+            return FidPromise.resolve(fn()).then(function () {
+                return value;
+            });
+        }, function (reason) {
+            return FidPromise.resolve(fn()).then(function () {
+                throw reason;
+            });
+        });
+    };
+
+
+    /**
+     * Check if this promise was cancelled.
+     *
+     * @return {boolean}
+     */
+    FidPromise.prototype.isCancelled = function () {
+        return !!this.cancelled;
+    };
+
+
+    /**
+     * Check if this promise was resolved.
+     *
+     * @return {boolean}
+     */
+    FidPromise.prototype.isFulfilled = function () {
+        return this.state === true;
+    };
+
+
+    /**
+     * Check if this promise is still waiting to be resolved or rejected.
+     * Cancelled promises are not pending.
+     *
+     * @return {boolean}
+     */
+    FidPromise.prototype.isPending = function () {
+        return this.state === null && !this.cancelled;
+    };
+
+
+    /**
+     * Check if this promise was rejected.
+     *
+     * @return {boolean}
+     */
+    FidPromise.prototype.isRejected = function () {
+        return this.state === false;
+    };
+
+
+    /**
+     * Report how this promise settles to a node-style (err, value)
+     * callback.  The callback is called outside of the promise chain, so
+     * anything it throws is thrown asynchronously instead of turning into
+     * a rejection.  Promises rejected with a falsy reason pass an Error to
+     * the callback with the original reason in its "reason" property.
+     *
+     * @param {Function} [callback] Nothing happens without a function
+     * @return this
+     */
+    FidPromise.prototype.nodeify = function (callback) {
+        function call(args) {
+            try {
+                callback.apply(undefined, args);
+            } catch (ex) {
+                throwLater(ex);
+            }
+        }
+
+        if (typeof callback === 'function') {
+            addCallbacks(this, function (value) {
+                call([
+                    null,
+                    value
+                ]);
+            }, function (reason) {
+                var err;
+
+                err = reason;
+
+                if (!err) {
+                    err = new Error('Promise was rejected with a falsy value');
+                    err.reason = reason;
+                }
+
+                call([
+                    err
+                ]);
+            });
+        }
+
+        return this;
+    };
+
+
+    /**
+     * Send a progress notification to every progress callback.  It also
+     * flows to the promises made by then() so callbacks further down the
+     * chain see it as well.  Ignored once the promise is completed.
+     *
+     * @param {*} value
+     */
+    FidPromise.prototype.notify = function (value) {
+        var myself;
+
+        if (this.state !== null || this.cancelled) {
+            debugMessage(this, 'Notify called on a completed promise - ignoring');
+
+            return;
+        }
+
+        debugMessage(this, 'Progress notification');
+        myself = this;
+        this.thenCallArray.forEach(function (thenCall) {
+            callProgress(myself, thenCall, value);
+        });
+    };
+
+
+    /**
+     * Run a function when this promise is cancelled.  It is passed the
+     * reason given to cancel().  Functions added after cancellation are
+     * called right away.
+     *
+     * @param {Function} fn
+     * @return this
+     */
+    FidPromise.prototype.onCancel = function (fn) {
+        if (this.cancelled) {
+            fn.call(undefined, this.cancelReason);
+        } else if (this.state === null) {
+            if (!this.cancelCallbacks) {
+                this.cancelCallbacks = [];
+            }
+
+            this.cancelCallbacks.push(fn);
+        }
+
+        return this;
+    };
+
+
+    /**
+     * On progress notifications only, run this method.
+     *
+     * @param {Function} onProgress
+     * @return {FidPromise}
+     */
+    FidPromise.prototype.progress = function (onProgress) {
+        return addCallbacks(this, null, null, onProgress);
+    };
+
+
+    /**
+     * Settle the same way as the first input that settles.  The other
+     * inputs are released afterwards: we stop listening to them and they
+     * are cancelled when nothing else is waiting on them.  An empty list
+     * of inputs leaves the promise pending.
+     *
+     * @param {Iterable} promises Promises, thenables or plain values
+     * @return this
+     */
+    FidPromise.prototype.race = function (promises) {
+        var myself;
+
+        myself = this;
+        watchInputs(this, promises, function (value) {
+            releaseInputs(myself);
+            myself.resolve(value);
+        }, function (reason) {
+            releaseInputs(myself);
+            myself.reject(reason);
+        });
+
+        return this;
+    };
+
+
+    /**
+     * Get the reason a promise was rejected.
+     *
+     * @return {*}
+     * @throws {Error} When the promise was not rejected
+     */
+    FidPromise.prototype.reason = function () {
+        if (this.state !== false) {
+            throw new Error('Promise is ' + getState(this) + ', not rejected');
+        }
+
+        return this.data;
+    };
+
+
+    /**
+     * Mark a promise as rejected.  Passes arguments to onError callbacks
+     * registered with .then()
+     *
+     * @param {*} reason
+     */
+    FidPromise.prototype.reject = function (reason) {
+        complete(this, false, reason);
+    };
+
+
+    /**
+     * Mark a promise as successfully completed.  Passes arguments
+     * to onSuccess callbacks registered with .then()
+     *
+     * @param {*} value
+     */
+    FidPromise.prototype.resolve = function (value) {
+        complete(this, true, value);
+    };
+
+
+    /**
+     * Resolve with the first count values, in the order they were
+     * resolved.  As soon as too many inputs are rejected to get that many
+     * values, reject with an AggregateError holding those reasons in the
+     * same order as the inputs.  The inputs that are still pending are
+     * released once this is decided, like they are for race().  Rejects
+     * with a TypeError when count is not a whole number of at least 0.
+     *
+     * @param {Iterable} promises Promises, thenables or plain values
+     * @param {number} count
+     * @return this
+     */
+    FidPromise.prototype.some = function (promises, count) {
+        var myself, reasons, values, waitingFor;
+
+        myself = this;
+        reasons = [];
+        values = [];
+
+        function check() {
+            if (values.length >= count) {
+                releaseInputs(myself);
+                myself.resolve(values);
+            } else if (values.length + waitingFor < count) {
+                releaseInputs(myself);
+                myself.reject(makeAggregateError(reasons.filter(function () {
+                    return true;
+                }), 'Not enough promises were resolved'));
+            }
+        }
+
+        if (typeof count !== 'number' || !(count >= 0) || count % 1 !== 0) {
+            debugMessage(this, '(some) Invalid count');
+            this.reject(new TypeError('Count must be a whole number of at least 0: ' + count));
+
+            return this;
+        }
+
+        waitingFor = watchInputs(this, promises, function (value) {
+            values.push(value);
+            waitingFor -= 1;
+            check();
+        }, function (reason, index) {
+            reasons[index] = reason;
+            waitingFor -= 1;
+            check();
+        });
+
+        if (waitingFor !== null) {
+            check();
+        }
+
+        return this;
+    };
+
+
+    /**
+     * On success only, run this method.
+     *
+     * @return {FidPromise}
+     */
+    FidPromise.prototype.success = function (fn) {
+        return addCallbacks(this, fn);
+    };
+
+
+    /**
+     * Accept onSuccess, onError and onProgress callbacks.  Adds them to
+     * our arrays and will return a new FidPromise.
+     *
+     * @param {(Function|null)} onSuccess
+     * @param {(Function|null)} onError
+     * @param {(Function|null)} [onProgress]
+     * @return {FidPromise}
+     */
+    FidPromise.prototype.then = function (onSuccess, onError, onProgress) {
+        return addCallbacks(this, onSuccess, onError, onProgress);
+    };
+
+
+    /**
+     * Reject with a FidPromise.TimeoutError when this promise is not
+     * settled within ms milliseconds.  Pass a reason to reject with that
+     * instead, or a function to build the reason when the time is up.
+     * After timing out we stop listening to this promise but leave it
+     * alone, so a shared promise can be used again later.  Cancelling
+     * the returned promise cancels this one when nothing else is waiting
+     * on it.  The timer uses FidPromise.clock and is cleared once this
+     * promise is settled.
+     *
+     * @param {number} ms
+     * @param {(*|Function)} [reason]
+     * @return {FidPromise}
+     */
+    FidPromise.prototype.timeout = function (ms, reason) {
+        var consumer, result, timer;
+
+        function clear() {
+            if (timer !== null) {
+                FidPromise.clock.clearTimeout(timer);
+                timer = null;
+            }
+        }
+
+        result = new FidPromise();
+        timer = null;
+        consumer = this.then(function (value) {
+            clear();
+            result.resolve(value);
+        }, function (err) {
+            clear();
+            result.reject(err);
+        }, function (progress) {
+            result.notify(progress);
+        });
+        linkInput(result, this, consumer);
+        result.onCancel(clear);
+        timer = FidPromise.clock.setTimeout(function () {
+            timer = null;
+            debugMessage(result, '(timeout) Timed out after ' + ms + 'ms');
+            consumer.protectsParent = true;
+            consumer.cancel();
+
+            if (typeof reason === 'function') {
+                try {
+                    result.reject(reason());
+                } catch (ex) {
+                    result.reject(ex);
+                }
+            } else if (reason === undefined) {
+                result.reject(new FidPromise.TimeoutError('Timed out after ' + ms + 'ms'));
+            } else {
+                result.reject(reason);
+            }
+        }, ms);
+
+        return result;
+    };
+
+
+    /**
+     * Emit events for listeners that do not know about promises.  The
+     * emitter gets a "resolve" event with the value or a "reject" event
+     * with the reason, plus a "progress" event for each notification.
+     * Errors thrown by listeners are thrown again asynchronously.
+     *
+     * @param {EventEmitter} [emitter] Defaults to a new EventEmitter from
+     *   node's events module, so pass one in browsers
+     * @return {EventEmitter}
+     * @throws {Error} When no emitter was passed and the events module is
+     *   not available
+     */
+    FidPromise.prototype.toEmitter = function (emitter) {
+        var events;
+
+        function emit(eventName, value) {
+            try {
+                emitter.emit(eventName, value);
+            } catch (ex) {
+                throwLater(ex);
+            }
+        }
+
+        if (!emitter) {
+            events = nodeRequire('events');
+
+            if (!events || typeof events.EventEmitter !== 'function') {
+                throw new Error('EventEmitter is not available, pass an emitter to toEmitter()');
+            }
+
+            emitter = new events.EventEmitter();
+        }
+
+        addCallbacks(this, function (value) {
+            emit('resolve', value);
+        }, function (reason) {
+            emit('reject', reason);
+        }, function (value) {
+            emit('progress', value);
+        });
+
+        return emitter;
+    };
+
+
+    /**
+     * Get the value a promise was resolved with.
+     *
+     * @return {*}
+     * @throws {Error} When the promise was not resolved
+     */
+    FidPromise.prototype.value = function () {
+        if (this.state !== true) {
+            throw new Error('Promise is ' + getState(this) + ', not fulfilled');
+        }
+
+        return this.data;
+    };
+
+
+    /**
+     * Become resolved only when everything is resolved, but will be
+     * rejected as soon as any promise is rejected.  Very similar to
+     * after().
+     *
+     * The results line up with the input.  Values that are not thenables
+     * are treated as already resolved and undefined results are kept.  A
+     * Map resolves to a Map with the same keys.  Pass {legacy: true} to
+     * get the old behavior, where the results are in the order they
+     * happened, undefined results and values that are not thenables are
+     * left out, and an empty list resolves with undefined.
+     *
+     * Pass {timeout: ms} to reject with a FidPromise.TimeoutError when
+     * the inputs take too long.  Its pending property lists the index (or
+     * Map key) of every input that was still pending.
+     *
+     * // Resolve once all of the promises are resolved
+     * promises = [ callback1, callback2, callback3 ].map(function (cb) {
+     *     // Your callback returns a promise
+     *     return cb();
+     * });
+     * myPromise.when(promises);
+     *
+     * @param {(Array|Map|Iterable)} promises
+     * @param {Object} [options]
+     * @param {boolean} [options.legacy=false]
+     * @param {number} [options.timeout]
+     * @return this
+     */
+    FidPromise.prototype.when = function (promises, options) {
+        var checkTimeout, inputs, legacy, myself, pending, successResults, total, waitingFor;
+
+        legacy = !!(options && options.legacy);
+        inputs = makeInputList(promises);
+        pending = [];
+        checkTimeout = null;
+        waitingFor = 0;
+        total = 0;
+        successResults = [];
+        myself = this;
+
+        function notifyCount() {
+            myself.notify({
+                done: total - waitingFor,
+                total: total
+            });
+        }
+
+        function settled(index) {
+            pending[index] = false;
+
+            if (checkTimeout) {
+                checkTimeout();
+            }
+        }
+
+        inputs.values.forEach(function (promise, index) {
+            if (getThen(promise)) {
+                waitingFor += 1;
+                total += 1;
+                pending[index] = true;
+                debugMessage(myself, '(when) Adding then');
+                linkInput(myself, promise, promise.then(function (result) {
+                    // When all are resolved, resolve this promise
+                    waitingFor -= 1;
+                    notifyCount();
+
+                    if (!legacy) {
+                        successResults[index] = result;
+                    } else if (result !== undefined) {
+                        successResults.push(result);
+                    }
+
+                    if (!waitingFor) {
+                        debugMessage(myself, '(when resolved) resolved last dependency');
+                        myself.resolve(inputs.build(successResults));
+                    } else {
+                        debugMessage(myself, '(when resolved) ' + waitingFor + ' left');
+                    }
+
+                    settled(index);
+                }, function (err) {
+                    // When any are rejected, immediately reject this promise
+                    waitingFor -= 1;
+                    notifyCount();
+                    debugMessage(myself, '(when rejected) ' + waitingFor + ' left');
+                    myself.reject(err);
+                    settled(index);
+                }));
+            } else if (!legacy) {
+                successResults[index] = promise;
+            }
+        });
+
+        // Ok, now we can check to see if we are waiting for things
+        if (!waitingFor) {
+            debugMessage(myself, '(when) Immediately resolved - no dependencies');
+
+            if (legacy) {
+                myself.resolve(undefined);
+            } else {
+                myself.resolve(inputs.build(successResults));
+            }
+        } else if (options && typeof options.timeout === 'number') {
+            checkTimeout = addTimeout(this, options.timeout, inputs.keys, pending);
+        }
+
+        return this;
+    };
+
+
+    /**
+     * Send every trace event to a function.  Events are objects, see
+     * FidPromise~traceEvent.  Promises create events while anything is
+     * listening or while debugging.  Errors thrown by the listener are
+     * rethrown asynchronously and do not change how promises settle.
+     *
+     * @param {Function} listener
+     */
+    FidPromise.addTraceListener = function (listener) {
+        traceListeners.push(listener);
+    };
+
+
+    /**
+     * Easy way to make a new promise based on the completion of other
+     * promises.  Waits for all promises to be resolved, one way or another.
+     *
+     * Old:  var promise = new FidPromise();
+     *       promise = promise.after([other, promises, go, here]);
+     *       promise.then(...);
+     *
+     * New:  FidPromise.after([other, promises, go, here]).then(...);
+     *
+     * @param {(Array|Map|Iterable)} promises
+     * @param {Object} [options] See FidPromise.prototype.after()
+     * @return {FidPromise}
+     */
+    FidPromise.after = function (promises, options) {
+        var promise;
+
+        promise = new FidPromise();
+        promise.after(promises, options);
+        return promise;
+    };
+
+
+    /**
+     * Resolve with an array of every value once all inputs are resolved,
+     * in the same order as the inputs.  Rejects as soon as any input is
+     * rejected.  Same as native Promise.all().
+     *
+     * @param {Iterable} iterable Promises, thenables or plain values
+     * @return {FidPromise}
+     */
+    FidPromise.all = function (iterable) {
+        var promise, results, waitingFor;
+
+        promise = new FidPromise();
+        results = [];
+        waitingFor = watchInputs(promise, iterable, function (value, index) {
+            results[index] = value;
+            waitingFor -= 1;
+
+            if (!waitingFor) {
+                promise.resolve(results);
+            }
+        }, function (reason) {
+            promise.reject(reason);
+        });
+
+        if (waitingFor === 0) {
+            promise.resolve(results);
+        }
+
+        return promise;
+    };
+
+
+    /**
+     * Resolve with an array of objects describing how each input was
+     * settled, once all of them are.  Never rejects unless the inputs can
+     * not be iterated.  Same as native Promise.allSettled().
+     *
+     * @param {Iterable} iterable Promises, thenables or plain values
+     * @return {FidPromise}
+     */
+    FidPromise.allSettled = function (iterable) {
+        var promise, results, waitingFor;
+
+        function settled(index, result) {
+            results[index] = result;
+            waitingFor -= 1;
+
+            if (!waitingFor) {
+                promise.resolve(results);
+            }
+        }
+
+        promise = new FidPromise();
+        results = [];
+        waitingFor = watchInputs(promise, iterable, function (value, index) {
+            settled(index, {
+                status: 'fulfilled',
+                value: value
+            });
+        }, function (reason, index) {
+            settled(index, {
+                reason: reason,
+                status: 'rejected'
+            });
+        });
+
+        if (waitingFor === 0) {
+            promise.resolve(results);
+        }
+
+        return promise;
+    };
+
+
+    /**
+     * Resolve as soon as any input is resolved.  If every input is
+     * rejected, reject with an AggregateError holding every reason in the
+     * same order as the inputs.  Same as native Promise.any(), except the
+     * inputs that are still pending are released once it is resolved.
+     *
+     * @param {Iterable} iterable Promises, thenables or plain values
+     * @return {FidPromise}
+     */
+    FidPromise.any = function (iterable) {
+        var promise;
+
+        promise = new FidPromise();
+        promise.any(iterable);
+
+        return promise;
+    };
+
+
+    /**
+     * Timers used by helpers that wait, such as FidPromise.retry().
+     * Replace these functions with a fake clock in tests.  setTimeout
+     * returns a handle that is passed to clearTimeout.
+     */
+    FidPromise.clock = {
+        clearTimeout: function (handle) {
+            clearTimeout(handle);
+        },
+        setTimeout: function (fn, ms) {
+            return setTimeout(fn, ms);
+        }
+    };
+
+
+    /**
+     * Request-scoped data that follows callbacks through promise chains.
+     * Callbacks run with the context that was active when they were added
+     * with then() or one of the other chaining methods.
+     *
+     *   FidPromise.context.run({requestId: 42}, function () {
+     *       return loadUser().then(function (user) {
+     *           log(FidPromise.context.current().requestId, user);
+     *       });
+     *   });
+     */
+    FidPromise.context = {
+        /**
+         * Get the active context, or undefined when there is none.
+         *
+         * @return {*}
+         */
+        current: function () {
+            return getContext();
+        },
+
+        /**
+         * Call a function with a context being active.
+         *
+         * @param {*} context
+         * @param {Function} fn
+         * @return {*} Whatever the function returns
+         */
+        run: function (context, fn) {
+            return runInContext(context, fn);
+        }
+    };
+
+
+    /**
+     * Wrap a generator function so calling it runs the generator with
+     * FidPromise.spawn().  Handy where async functions are not available.
+     *
+     *   loadAll = FidPromise.coroutine(function* (ids) {
+     *       var user = yield loadUser(ids.user);
+     *       var posts = yield [loadPosts(user), loadFriends(user)];
+     *       return posts;
+     *   });
+     *
+     * @param {Function} generatorFunction
+     * @return {Function} Returns a FidPromise
+     * @throws {TypeError} When generatorFunction is not a function
+     */
+    FidPromise.coroutine = function (generatorFunction) {
+        if (typeof generatorFunction !== 'function') {
+            throw new TypeError('Not a generator function: ' + generatorFunction);
+        }
+
+        return function () {
+            return FidPromise.spawn(generatorFunction.apply(this, arguments));
+        };
+    };
+
+
+    /**
+     * Make a new promise and keep the functions that settle it apart from
+     * it.  Hand out the read-only promise to consumers and keep the rest.
+     *
+     *   deferred = FidPromise.defer();
+     *   upload(file, deferred.notify, deferred.resolve, deferred.reject);
+     *   return deferred.promise;
+     *
+     * @param {Object} [options] Passed to asReadOnly()
+     * @return {Object} With promise, resolve, reject and notify
+     */
+    FidPromise.defer = function (options) {
+        var promise;
+
+        promise = new FidPromise();
+
+        return {
+            notify: function (value) {
+                promise.notify(value);
+            },
+            promise: promise.asReadOnly(options),
+            reject: function (reason) {
+                promise.reject(reason);
+            },
+            resolve: function (value) {
+                promise.resolve(value);
+            }
+        };
+    };
+
+
+    /**
+     * Resolve with a value after waiting ms milliseconds.  When the value
+     * is a promise, it is waited upon first.
+     *
+     * @param {number} ms
+     * @param {*} [value]
+     * @return {FidPromise}
+     */
+    FidPromise.delay = function (ms, value) {
+        return FidPromise.resolve(value).delay(ms);
+    };
+
+
+    /**
+     * Call a function for every item, one at a time.  Resolves with the
+     * items themselves, after any thenables are resolved.  Options are the
+     * same as FidPromise.map() except concurrency is always 1.
+     *
+     * @param {*} items Array or iterable of values or thenables
+     * @param {Function} fn Called with (value, index)
+     * @param {Object} [options]
+     * @return {FidPromise}
+     */
+    FidPromise.each = function (items, fn, options) {
+        return mapLimited(items, function (value, index) {
+            return FidPromise.resolve(fn(value, index)).then(function () {
+                return value;
+            });
+        }, {
+            concurrency: 1,
+            failFast: !options || options.failFast !== false
+        });
+    };
+
+
+    /**
+     * Keep only the items where the function returns something truthy or
+     * a promise resolved with something truthy.  Takes the same options as
+     * FidPromise.map().
+     *
+     * @param {*} items Array or iterable of values or thenables
+     * @param {Function} fn Called with (value, index)
+     * @param {Object} [options]
+     * @return {FidPromise}
+     */
+    FidPromise.filter = function (items, fn, options) {
+        return mapLimited(items, function (value, index) {
+            return FidPromise.resolve(fn(value, index)).then(function (keep) {
+                return {
+                    keep: keep,
+                    value: value
+                };
+            });
+        }, options).then(function (results) {
+            return results.filter(function (result) {
+                return result.keep;
+            }).map(function (result) {
+                return result.value;
+            });
+        });
+    };
+
+
+    /**
+     * @typedef {Object} FidPromise.graph
+     * @property {Array.<Object>} nodes Each has id, label and state
+     * @property {Array.<Object>} edges Each has from, to and type.  The
+     *   promise in "to" is waiting on the one in "from".  Types are "then"
+     *   for callbacks, "adopts" for a promise waiting on another promise
+     *   and "dependency" for inputs to when(), after() and the like.
+     */
+
+    /**
+     * Make a promise from code that uses a node-style (err, value)
+     * callback.  The function is called right away with the callback.
+     *
+     *   FidPromise.fromCallback(function (callback) {
+     *       fs.readFile('config.json', callback);
+     *   });
+     *
+     * @param {Function} fn
+     * @param {Object} [options] Set multiArgs to resolve with an array of
+     *   every value passed to the callback
+     * @return {FidPromise}
+     */
+    FidPromise.fromCallback = function (fn, options) {
+        var promise;
+
+        promise = new FidPromise();
+
+        try {
+            fn(makeNodeCallback(promise, options && options.multiArgs));
+        } catch (ex) {
+            debugMessage(promise, '(fromCallback) Function threw an error');
+            promise.reject(ex);
+        }
+
+        return promise;
+    };
+
+
+    /**
+     * Wait for an event.  Works with node's EventEmitter as well as DOM
+     * style targets that have addEventListener().  The listeners are
+     * removed once the promise is settled or cancelled.
+     *
+     *   FidPromise.fromEvent(server, 'listening', {
+     *       timeout: 5000
+     *   });
+     *
+     * Options:
+     *   filter - Only resolve when this returns a truthy value
+     *   multiArgs - Resolve with an array of every argument
+     *   rejectOn - Event name or array of names that reject, defaults
+     *     to 'error'
+     *   timeout - Reject with a FidPromise.TimeoutError after this many ms
+     *
+     * @param {(EventEmitter|EventTarget)} emitter
+     * @param {string} eventName
+     * @param {Object} [options]
+     * @return {FidPromise}
+     * @throws {TypeError} When listeners can not be added to the emitter
+     */
+    FidPromise.fromEvent = function (emitter, eventName, options) {
+        var add, filter, listeners, multiArgs, promise, rejectOn, remove, timer;
+
+        function cleanup() {
+            listeners.forEach(function (listener) {
+                remove.call(emitter, listener.eventName, listener.fn);
+            });
+            listeners = [];
+
+            if (timer !== null) {
+                FidPromise.clock.clearTimeout(timer);
+                timer = null;
+            }
+        }
+
+        function listen(name, fn) {
+            listeners.push({
+                eventName: name,
+                fn: fn
+            });
+            add.call(emitter, name, fn);
+        }
+
+        if (emitter && typeof emitter.addEventListener === 'function') {
+            add = emitter.addEventListener;
+            remove = emitter.removeEventListener;
+        } else if (emitter && typeof emitter.on === 'function') {
+            add = emitter.on;
+            remove = emitter.removeListener || emitter.off;
+        } else {
+            throw new TypeError('Can not listen to events on ' + emitter);
+        }
+
+        options = options || {};
+        filter = options.filter;
+        multiArgs = options.multiArgs;
+        rejectOn = options.rejectOn;
+
+        if (rejectOn === undefined) {
+            rejectOn = 'error';
+        }
+
+        listeners = [];
+        promise = new FidPromise();
+        timer = null;
+        listen(eventName, function () {
+            var value;
+
+            if (multiArgs) {
+                value = Array.prototype.slice.call(arguments);
+            } else {
+                value = arguments[0];
+            }
+
+            if (typeof filter === 'function') {
+                try {
+                    if (!filter(value)) {
+                        return;
+                    }
+                } catch (ex) {
+                    debugMessage(promise, '(fromEvent) Filter threw an error');
+                    cleanup();
+                    promise.reject(ex);
+
+                    return;
+                }
+            }
+
+            cleanup();
+            promise.resolve(value);
+        });
+        [].concat(rejectOn).forEach(function (name) {
+            listen(name, function (reason) {
+                debugMessage(promise, '(fromEvent) Rejected by "' + name + '" event');
+                cleanup();
+                promise.reject(reason);
+            });
+        });
+
+        if (options.timeout !== undefined) {
+            timer = FidPromise.clock.setTimeout(function () {
+                timer = null;
+                debugMessage(promise, '(fromEvent) Timed out after ' + options.timeout + 'ms');
+                cleanup();
+                promise.reject(new FidPromise.TimeoutError('Timed out after ' + options.timeout + 'ms waiting for "' + eventName + '"'));
+            }, options.timeout);
+        }
+
+        promise.onCancel(cleanup);
+
+        return promise;
+    };
+
+
+    /**
+     * Lifecycle hooks for metrics and tracing tools.  Register an object
+     * with any of these functions and they are called for every promise.
+     *
+     *   init(promise) - A promise was created
+     *   settle(promise) - A promise was resolved or rejected
+     *   before(promise, child) - A callback of the promise is about to run
+     *   after(promise, child) - The callback finished, even if it threw
+     *   adopt(promise, other) - A promise is waiting on another thenable
+     *   onError(err, name, promise) - One of the other hooks threw
+     *
+     * Errors thrown by hooks are passed to onError() and logged with
+     * FidPromise.debug.  They are never thrown again, so they do not
+     * change how promises settle or crash the process.
+     */
+    FidPromise.hooks = {
+        /**
+         * Start calling a set of hooks.
+         *
+         * @param {Object} hooks
+         * @return {Function} Stops calling the hooks
+         */
+        register: function (hooks) {
+            hookList.push(hooks);
+
+            return function () {
+                FidPromise.hooks.unregister(hooks);
+            };
+        },
+
+        /**
+         * Stop calling a set of hooks.
+         *
+         * @param {Object} hooks
+         */
+        unregister: function (hooks) {
+            hookList = hookList.filter(function (registered) {
+                return registered !== hooks;
+            });
+        }
+    };
+
+
+    /**
+     * Find every promise connected to this one and how they are connected.
+     * Follows callbacks added with then(), promises that are waiting on
+     * other promises and the inputs to when(), after() and the like.
+     * Settled promises let go of most of these links, so this is most
+     * useful for finding out why something is still pending.
+     *
+     * The graph only has IDs and states, not the promises themselves.
+     *
+     * @param {FidPromise} promise
+     * @return {FidPromise~graph}
+     */
+    FidPromise.inspect = function (promise) {
+        var edgeKeys, graph, seen, todo;
+
+        function idOf(target) {
+            if (!target.id) {
+                target.id = getId();
+            }
+
+            return target.id;
+        }
+
+        function visit(target) {
+            if (target && !seen[idOf(target)]) {
+                seen[target.id] = true;
+                todo.push(target);
+            }
+        }
+
+        function link(from, to, type) {
+            var key;
+
+            if (!from || !to) {
+                return;
+            }
+
+            key = idOf(from) + ' ' + idOf(to) + ' ' + type;
+
+            if (!edgeKeys[key]) {
+                edgeKeys[key] = true;
+                graph.edges.push({
+                    from: from.id,
+                    to: to.id,
+                    type: type
+                });
+            }
+
+            visit(from);
+            visit(to);
+        }
+
+        graph = {
+            edges: [],
+            nodes: []
+        };
+        edgeKeys = {};
+        seen = {};
+        todo = [];
+        visit(promise);
+
+        while (todo.length) {
+            promise = todo.shift();
+            graph.nodes.push({
+                id: promise.id,
+                label: promise.label,
+                state: getState(promise)
+            });
+            if (promise.thenCallArray) {
+                promise.thenCallArray.forEach(function (thenCall) {
+                    link(promise, thenCall.nextPromise, 'then');
+                });
+            }
+            link(promise.parentPromise, promise, 'then');
+
+            if (promise.adoptedFrom) {
+                link(promise.adoptedFrom.deref(), promise, 'adopts');
+            }
+
+            if (promise.dependencies) {
+                promise.dependencies.forEach(function (ref) {
+                    link(ref.deref(), promise, 'dependency');
+                });
+            }
+        }
+
+        return graph;
+    };
+
+
+    /**
+     * How many stacks to keep for long stack traces.  Each callback added
+     * with then() adds one more stack to the chain.  Long stack traces
+     * are only collected when FidPromise.debug is enabled.  Set to 0 to
+     * turn them off while debugging.
+     *
+     * @type {number}
+     */
+    FidPromise.longStackDepth = 10;
+
+
+    /**
+     * Portion of promises, from 0 to 1, that collect long stack traces
+     * while debugging.  Lower this to reduce the cost of debugging busy
+     * code.
+     *
+     * @type {number}
+     */
+    FidPromise.longStackSampleRate = 1;
+
+
+    /**
+     * Call a function for every item and resolve with the results, in the
+     * same order as the items.  Work is only started when there is room
+     * under the concurrency limit, so the function is not called for
+     * every item right away.
+     *
+     *   FidPromise.map(urls, function (url) {
+     *       return download(url);
+     *   }, {
+     *       concurrency: 5
+     *   });
+     *
+     * Options:
+     *   concurrency - Most calls to run at once.  Defaults to no limit.
+     *   failFast - When true (the default), reject with the first failure
+     *     like when().  When false, finish everything and then reject with
+     *     an array of every failure like after().
+     *
+     * @param {*} items Array or iterable of values or thenables
+     * @param {Function} fn Called with (value, index)
+     * @param {Object} [options]
+     * @return {FidPromise}
+     */
+    FidPromise.map = function (items, fn, options) {
+        return mapLimited(items, fn, options);
+    };
+
+
+    /**
+     * @typedef {Object} FidPromise.rejection
+     * @property {(string|undefined)} creationSite Stack from when the
+     *   promise was created, only captured while debugging
+     * @property {string} id
+     * @property {FidPromise} promise
+     * @property {*} reason
+     */
+
+    /**
+     * Called when a promise that was reported to onUnhandledRejection
+     * gets a handler attached to it.  By default this emits node's
+     * "rejectionHandled" process event or the browser's
+     * "rejectionhandled" event.
+     *
+     * @param {FidPromise~rejection} rejection
+     */
+    FidPromise.onRejectionHandled = function (rejection) {
+        var event;
+
+        if (typeof process !== 'undefined' && typeof process.emit === 'function') {
+            process.emit('rejectionHandled', rejection.promise);
+        } else if (typeof self !== 'undefined' && typeof self.dispatchEvent === 'function' && typeof Event === 'function') {
+            event = new Event('rejectionhandled');
+            event.promise = rejection.promise;
+            event.reason = rejection.reason;
+            self.dispatchEvent(event);
+        }
+    };
+
+
+    /**
+     * Called when a rejected promise still has nothing handling it after
+     * the current turn.  Replace it with your own function or set it to
+     * null to stop reporting.  By default this emits node's
+     * "unhandledRejection" process event or the browser's
+     * "unhandledrejection" event.
+     *
+     * @param {FidPromise~rejection} rejection
+     */
+    FidPromise.onUnhandledRejection = function (rejection) {
+        var event;
+
+        if (typeof process !== 'undefined' && typeof process.emit === 'function') {
+            process.emit('unhandledRejection', rejection.reason, rejection.promise);
+        } else if (typeof self !== 'undefined' && typeof self.dispatchEvent === 'function' && typeof Event === 'function') {
+            event = new Event('unhandledrejection', {
+                cancelable: true
+            });
+            event.promise = rejection.promise;
+            event.reason = rejection.reason;
+            self.dispatchEvent(event);
+        }
+    };
+
+
+    /**
+     * Wrap a function that takes a node-style (err, value) callback as its
+     * last argument.  The new function takes the same arguments, minus
+     * the callback, and returns a FidPromise.  Does not rely on
+     * util.promisify, so it works in every version of node.
+     *
+     *   readFile = FidPromise.promisify(fs.readFile);
+     *   readFile('config.json').then(...);
+     *
+     * Options:
+     *   context - Call the function with this as "this".  Defaults to the
+     *     "this" of the new function.
+     *   multiArgs - Resolve with an array of every value passed to the
+     *     callback instead of only the first.
+     *
+     * @param {Function} fn
+     * @param {Object} [options]
+     * @return {Function}
+     */
+    FidPromise.promisify = function (fn, options) {
+        options = options || {};
+
+        return function () {
+            var args, context, promise;
+
+            args = Array.prototype.slice.call(arguments);
+            context = options.hasOwnProperty('context') ? options.context : this;
+            promise = new FidPromise();
+            args.push(makeNodeCallback(promise, options.multiArgs));
+
+            try {
+                fn.apply(context, args);
+            } catch (ex) {
+                debugMessage(promise, '(promisify) Function threw an error');
+                promise.reject(ex);
+            }
+
+            return promise;
+        };
+    };
+
+
+    /**
+     * Add a promise-returning version of every method on an object,
+     * including inherited ones.  They are named with a suffix, so
+     * fs.readFile gets a fs.readFileAsync.  Methods that already have a
+     * version with the suffix are skipped.
+     *
+     *   FidPromise.promisifyAll(fs);
+     *   fs.readFileAsync('config.json').then(...);
+     *
+     * @param {Object} object
+     * @param {Object} [options] suffix defaults to "Async", multiArgs is
+     *   passed to promisify()
+     * @return {Object} The same object
+     */
+    FidPromise.promisifyAll = function (object, options) {
+        var key, keys, suffix;
+
+        options = options || {};
+        suffix = options.suffix || 'Async';
+        keys = [];
+
+        for (key in object) {
+            keys.push(key);
+        }
+
+        keys.forEach(function (name) {
+            var method;
+
+            if (name.slice(-suffix.length) === suffix || (name + suffix) in object) {
+                return;
+            }
+
+            method = object[name];
+
+            if (typeof method === 'function') {
+                object[name + suffix] = FidPromise.promisify(method, {
+                    multiArgs: options.multiArgs
+                });
+            }
+        });
+
+        return object;
+    };
+
+
+    /**
+     * Wait for every property of an object to be resolved.  Resolves to a
+     * new object with the same keys and the resolved values.  Rejects as
+     * soon as any of them is rejected, just like when().  A Map is passed
+     * straight to when() and resolves to a Map.
+     *
+     *   FidPromise.props({
+     *       config: loadConfig(),
+     *       user: loadUser()
+     *   }).then(function (result) {
+     *       start(result.config, result.user);
+     *   });
+     *
+     * @param {(Object|Map)} object
+     * @return {FidPromise}
+     */
+    FidPromise.props = function (object) {
+        var keys;
+
+        if (typeof Map === 'function' && object instanceof Map) {
+            return FidPromise.when(object);
+        }
+
+        keys = Object.keys(object);
+
+        return FidPromise.when(keys.map(function (key) {
+            return object[key];
+        })).then(function (values) {
+            var result;
+
+            result = {};
+            keys.forEach(function (key, index) {
+                result[key] = values[index];
+            });
+
+            return result;
+        });
+    };
+
+
+    /**
+     * A long-lived queue of tasks that runs a few at a time.  Tasks are
+     * functions that return a value or a promise.  Failed tasks are
+     * counted and the queue keeps going.
+     *
+     *   queue = new FidPromise.Queue({
+     *       concurrency: 2
+     *   });
+     *   queue.push(function () {
+     *       return sendEmail(message);
+     *   }, {
+     *       priority: 10
+     *   });
+     *
+     * Options:
+     *   concurrency - How many tasks run at once.  Defaults to 1.
+     *   timeout - Reject tasks that take longer than this many ms.  Can be
+     *     changed per task.
+     *
+     * @param {Object} [options]
+     * @throws {TypeError} When concurrency is not at least 1
+     */
+    FidPromise.Queue = function (options) {
+        if (!(this instanceof FidPromise.Queue)) {
+            return new FidPromise.Queue(options);
+        }
+
+        options = options || {};
+        this.concurrency = options.concurrency === undefined ? 1 : options.concurrency;
+
+        if (typeof this.concurrency !== 'number' || !(this.concurrency >= 1)) {
+            throw new TypeError('Queue concurrency must be at least 1: ' + this.concurrency);
+        }
+
+        this.busy = false;
+        this.completed = 0;
+        this.drainListeners = [];
+        this.failed = 0;
+        this.idlePromises = [];
+        this.paused = false;
+        this.running = 0;
+        this.timeout = options.timeout;
+        this.waiters = [];
+    };
+
+    /**
+     * Remove every task that has not started yet.  Their promises are
+     * cancelled.  Running tasks are left alone.
+     *
+     * @return {number} How many tasks were removed
+     */
+    FidPromise.Queue.prototype.clear = function () {
+        var waiters;
+
+        waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(function (waiter) {
+            waiter.promise.cancel();
+        });
+        runQueue(this);
+
+        return waiters.length;
+    };
+
+    /**
+     * True after pause() until resume() is called.
+     *
+     * @return {boolean}
+     */
+    FidPromise.Queue.prototype.isPaused = function () {
+        return this.paused;
+    };
+
+    /**
+     * Call a function every time the queue finishes all of its work.
+     *
+     * @param {Function} listener Called with the queue
+     * @return {Function} Call to stop listening
+     */
+    FidPromise.Queue.prototype.onDrain = function (listener) {
+        var myself;
+
+        myself = this;
+        this.drainListeners.push(listener);
+
+        return function () {
+            myself.drainListeners = myself.drainListeners.filter(function (item) {
+                return item !== listener;
+            });
+        };
+    };
+
+    /**
+     * Get a promise that is resolved once nothing is running or waiting.
+     * It is resolved right away when the queue is already idle.
+     *
+     * @return {FidPromise}
+     */
+    FidPromise.Queue.prototype.onIdle = function () {
+        var promise;
+
+        promise = new FidPromise();
+
+        if (this.running || this.waiters.length) {
+            this.idlePromises.push(promise);
+        } else {
+            promise.resolve();
+        }
+
+        return promise;
+    };
+
+    /**
+     * Stop starting tasks.  Tasks that are running keep going.
+     */
+    FidPromise.Queue.prototype.pause = function () {
+        this.paused = true;
+    };
+
+    /**
+     * Add a task.  Tasks with a higher priority start first and tasks
+     * with the same priority start in the order they were added.
+     * Cancelling the returned promise removes a waiting task or cancels
+     * a running one.
+     *
+     * Options:
+     *   priority - Defaults to 0
+     *   timeout - Reject with a FidPromise.TimeoutError when the task
+     *     takes longer than this many ms.  Defaults to the queue's timeout.
+     *
+     * @param {Function} task
+     * @param {Object} [options]
+     * @return {FidPromise} Settled the same way as the task
+     */
+    FidPromise.Queue.prototype.push = function (task, options) {
+        var index, myself, waiter;
+
+        myself = this;
+        options = options || {};
+        waiter = {
+            consumer: null,
+            finished: false,
+            priority: options.priority || 0,
+            promise: new FidPromise(),
+            task: task,
+            timeout: options.timeout === undefined ? this.timeout : options.timeout
+        };
+        waiter.promise.onCancel(function () {
+            myself.waiters = myself.waiters.filter(function (item) {
+                return item !== waiter;
+            });
+
+            if (waiter.consumer) {
+                waiter.consumer.cancel();
+                finishTask(myself, waiter);
+            } else {
+                runQueue(myself);
+            }
+        });
+
+        // Keep waiters sorted by priority, first come first served
+        index = this.waiters.length;
+
+        while (index > 0 && this.waiters[index - 1].priority < waiter.priority) {
+            index -= 1;
+        }
+
+        this.busy = true;
+        this.waiters.splice(index, 0, waiter);
+        runQueue(this);
+
+        return waiter.promise;
+    };
+
+    /**
+     * Start tasks again after pause().
+     */
+    FidPromise.Queue.prototype.resume = function () {
+        this.paused = false;
+        runQueue(this);
+    };
+
+    /**
+     * Count of tasks in each state.
+     *
+     * @return {Object} With running, waiting, completed and failed
+     */
+    FidPromise.Queue.prototype.stats = function () {
+        return {
+            completed: this.completed,
+            failed: this.failed,
+            running: this.running,
+            waiting: this.waiters.length
+        };
+    };
+
+
+    /**
+     * Settle the same way as the first input that settles.  Same as native
+     * Promise.race(), except the other inputs are released afterwards.  See
+     * FidPromise.prototype.race().  An empty list of inputs stays pending
+     * forever.
+     *
+     * @param {Iterable} iterable Promises, thenables or plain values
+     * @return {FidPromise}
+     */
+    FidPromise.race = function (iterable) {
+        var promise;
+
+        promise = new FidPromise();
+        promise.race(iterable);
+
+        return promise;
+    };
+
+
+    /**
+     * Combine every item into a single value, one item at a time.  The
+     * function is called with (accumulator, value, index) and may return
+     * a promise.  Without an initial value, the first item is used and an
+     * empty list is rejected with a TypeError.
+     *
+     * @param {*} items Array or iterable of values or thenables
+     * @param {Function} fn
+     * @param {*} [initialValue]
+     * @return {FidPromise}
+     */
+    FidPromise.reduce = function (items, fn, initialValue) {
+        var list, result, startIndex;
+
+        try {
+            list = claimInputs(toArray(items));
+        } catch (ex) {
+            return FidPromise.reject(ex);
+        }
+
+        if (arguments.length > 2) {
+            result = FidPromise.resolve(initialValue);
+            startIndex = 0;
+        } else if (list.length) {
+            result = FidPromise.resolve(list[0]);
+            startIndex = 1;
+        } else {
+            return FidPromise.reject(new TypeError('Reduce of empty list with no initial value'));
+        }
+
+        list.slice(startIndex).forEach(function (item, offset) {
+            result = result.then(function (accumulator) {
+                return FidPromise.resolve(item).then(function (value) {
+                    return fn(accumulator, value, startIndex + offset);
+                });
+            });
+        });
+
+        // Always return a new promise, even for a single item
+        return result.then(function (value) {
+            return value;
+        });
+    };
+
+
+    /**
+     * Create a promise that is already rejected.
+     *
+     * @param {*} reason
+     * @return {FidPromise}
+     */
+    FidPromise.reject = function (reason) {
+        var promise;
+
+        promise = new FidPromise();
+        promise.reject(reason);
+
+        return promise;
+    };
+
+
+    /**
+     * Stop sending trace events to a function.
+     *
+     * @param {Function} listener
+     */
+    FidPromise.removeTraceListener = function (listener) {
+        var index;
+
+        index = traceListeners.indexOf(listener);
+
+        if (index >= 0) {
+            traceListeners.splice(index, 1);
+        }
+    };
+
+
+    /**
+     * Create a promise that is resolved with a value.  If the value is a
+     * FidPromise, it is returned as-is.  Other thenables are adopted.
+     *
+     * @param {*} value
+     * @return {FidPromise}
+     */
+    FidPromise.resolve = function (value) {
+        var promise;
+
+        if (value instanceof FidPromise) {
+            return value;
+        }
+
+        promise = new FidPromise();
+        promise.resolve(value);
+
+        return promise;
+    };
+
+
+    /**
+     * Call a function until the promise it returns is resolved, waiting
+     * longer between each attempt.  The function is called with the
+     * attempt number, starting at 1, and may return a value, a promise or
+     * throw.  When it gives up, this is rejected with an AggregateError
+     * whose errors property has the reason for every attempt.
+     *
+     *   FidPromise.retry(function () {
+     *       return download(url);
+     *   }, {
+     *       retries: 5,
+     *       shouldRetry: function (err) {
+     *           return err.code !== 404;
+     *       }
+     *   });
+     *
+     * Options:
+     *   retries - How many times to try again after the first attempt.
+     *     Defaults to 3.
+     *   minDelay - Milliseconds to wait before the first retry.  Defaults
+     *     to 100.
+     *   maxDelay - Longest wait between attempts.  Defaults to no limit.
+     *   factor - Multiply the wait by this after every retry.  Defaults
+     *     to 2.
+     *   jitter - From 0 to 1, how much of the wait may be randomly cut to
+     *     spread out retries.  true is the same as 1.  Defaults to 0.
+     *   shouldRetry - Called with (reason, attempt).  Return false to stop
+     *     retrying.
+     *
+     * @param {Function} fn
+     * @param {Object} [options]
+     * @return {FidPromise}
+     */
+    FidPromise.retry = function (fn, options) {
+        var attempt, promise, reasons, settings, timer;
+
+        function run() {
+            var current;
+
+            attempt += 1;
+            timer = null;
+            debugMessage(promise, '(retry) Attempt ' + attempt);
+
+            try {
+                current = FidPromise.resolve(fn(attempt));
+            } catch (ex) {
+                current = FidPromise.reject(ex);
+            }
+
+            linkInput(promise, current, current.then(function (value) {
+                debugMessage(promise, '(retry) Attempt ' + attempt + ' succeeded');
+                promise.resolve(value);
+            }, failed));
+        }
+
+        function failed(reason) {
+            var delay, jitter, retry;
+
+            reasons.push(reason);
+
+            try {
+                retry = attempt <= settings.retries && (typeof settings.shouldRetry !== 'function' || settings.shouldRetry(reason, attempt));
+            } catch (ex) {
+                debugMessage(promise, '(retry) shouldRetry threw an error');
+                promise.reject(ex);
+
+                return;
+            }
+
+            if (!retry) {
+                debugMessage(promise, '(retry) Attempt ' + attempt + ' failed, giving up');
+                promise.reject(makeAggregateError(reasons, 'Failed after ' + attempt + ' attempt(s)'));
+
+                return;
+            }
+
+            delay = Math.min(settings.maxDelay, settings.minDelay * Math.pow(settings.factor, attempt - 1));
+            jitter = settings.jitter === true ? 1 : +settings.jitter || 0;
+            delay -= delay * jitter * Math.random();
+            debugMessage(promise, '(retry) Attempt ' + attempt + ' failed, waiting ' + delay + 'ms');
+            timer = FidPromise.clock.setTimeout(run, delay);
+        }
+
+        settings = {
+            factor: 2,
+            jitter: 0,
+            maxDelay: Infinity,
+            minDelay: 100,
+            retries: 3,
+            shouldRetry: null
+        };
+        Object.keys(options || {}).forEach(function (key) {
+            settings[key] = options[key];
+        });
+        attempt = 0;
+        promise = new FidPromise();
+        reasons = [];
+        timer = null;
+        promise.onCancel(function () {
+            if (timer !== null) {
+                FidPromise.clock.clearTimeout(timer);
+            }
+        });
+        run();
+
+        return promise;
+    };
+
+
+    /**
+     * Built-in strategies for FidPromise.scheduler.  Only the ones that
+     * the current platform supports are listed.  Each one accepts a
+     * function and arranges for it to be called soon with a fresh call
+     * stack.
+     */
+    FidPromise.schedulers = {};
+
+    if (typeof setImmediate === 'function') {
+        FidPromise.schedulers.setImmediate = function (fn) {
+            setImmediate(fn);
+        };
+    }
+
+    if (typeof process !== 'undefined' && process && typeof process.nextTick === 'function') {
+        FidPromise.schedulers.nextTick = function (fn) {
+            process.nextTick(fn);
+        };
+    }
+
+    if (typeof MessageChannel === 'function') {
+        FidPromise.schedulers.messageChannel = makeMessageChannelScheduler();
+    }
+
+    if (typeof queueMicrotask === 'function') {
+        FidPromise.schedulers.queueMicrotask = function (fn) {
+            queueMicrotask(fn);
+        };
+    }
+
+    FidPromise.schedulers.setTimeout = function (fn) {
+        setTimeout(fn, 0);
+    };
+
+
+    /**
+     * How FidPromise gets a fresh call stack.  Ready callbacks are kept
+     * in a single queue and this is used once to flush the whole queue,
+     * not once per callback.  Assign one of FidPromise.schedulers or
+     * your own function that calls its argument asynchronously.
+     *
+     * Defaults to setTimeout so callbacks keep their order relative to
+     * other timers, which existing code relies upon.
+     *
+     * @param {Function} fn
+     */
+    FidPromise.scheduler = FidPromise.schedulers.setTimeout;
+
+
+    /**
+     * Limit how many callers may use something at once.  acquire()
+     * resolves with a release function once a slot is free.  Waiters get
+     * slots in the order they asked for them.
+     *
+     *   semaphore = new FidPromise.Semaphore(3);
+     *   semaphore.runExclusive(function () {
+     *       return download(url);
+     *   });
+     *
+     * @param {number} [count] How many slots, defaults to 1
+     * @throws {TypeError} When count is not at least 1
+     */
+    FidPromise.Semaphore = function (count) {
+        if (!(this instanceof FidPromise.Semaphore)) {
+            return new FidPromise.Semaphore(count);
+        }
+
+        if (count === undefined) {
+            count = 1;
+        }
+
+        if (typeof count !== 'number' || !(count >= 1)) {
+            throw new TypeError('Semaphore count must be at least 1: ' + count);
+        }
+
+        this.count = count;
+        this.permits = count;
+        this.waiters = [];
+    };
+
+    /**
+     * Wait for a slot.  Resolves with a function that frees the slot
+     * again.  Calling the release function more than once does nothing.
+     * Cancelling the promise while waiting gives up the place in line.
+     *
+     * Options:
+     *   timeout - Reject with a FidPromise.TimeoutError after this many ms
+     *
+     * @param {Object} [options]
      * @return {FidPromise}
      */
-    FidPromise.prototype.error = function (fn) {
-        return addCallbacks(this, null, fn);
+    FidPromise.Semaphore.prototype.acquire = function (options) {
+        var myself, promise, timer;
+
+        function makeRelease() {
+            var released;
+
+            released = false;
+
+            return function () {
+                var next;
+
+                if (released) {
+                    return;
+                }
+
+                released = true;
+                next = myself.waiters.shift();
+
+                if (next) {
+                    next.stopTimer();
+                    next.promise.resolve(makeRelease());
+                } else {
+                    myself.permits += 1;
+                }
+            };
+        }
+
+        function stopTimer() {
+            if (timer !== null) {
+                FidPromise.clock.clearTimeout(timer);
+                timer = null;
+            }
+        }
+
+        function leaveLine() {
+            stopTimer();
+            myself.waiters = myself.waiters.filter(function (waiter) {
+                return waiter.promise !== promise;
+            });
+        }
+
+        myself = this;
+        promise = new FidPromise();
+        timer = null;
+
+        if (this.permits > 0) {
+            this.permits -= 1;
+            promise.resolve(makeRelease());
+
+            return promise;
+        }
+
+        this.waiters.push({
+            promise: promise,
+            stopTimer: stopTimer
+        });
+        promise.onCancel(leaveLine);
+
+        if (options && options.timeout !== undefined) {
+            timer = FidPromise.clock.setTimeout(function () {
+                timer = null;
+                leaveLine();
+                debugMessage(promise, '(acquire) Timed out after ' + options.timeout + 'ms');
+                promise.reject(new FidPromise.TimeoutError('Timed out after ' + options.timeout + 'ms waiting to acquire'));
+            }, options.timeout);
+        }
+
+        return promise;
     };
 
+    /**
+     * How many slots are free right now.
+     *
+     * @return {number}
+     */
+    FidPromise.Semaphore.prototype.available = function () {
+        return this.permits;
+    };
 
     /**
-     * Mark a promise as rejected.  Passes arguments to onError callbacks
-     * registered with .then()
+     * True when every slot is taken.
      *
-     * @param {*} reason
+     * @return {boolean}
      */
-    FidPromise.prototype.reject = function (reason) {
-        complete(this, false, reason);
+    FidPromise.Semaphore.prototype.isLocked = function () {
+        return this.permits === 0;
     };
 
+    /**
+     * Call a function once a slot is free and release the slot when the
+     * promise it returns is settled, even if it is rejected or the
+     * function throws.  Cancelling the returned promise also releases
+     * the slot.
+     *
+     * @param {Function} fn
+     * @param {Object} [options] Passed to acquire()
+     * @return {FidPromise}
+     */
+    FidPromise.Semaphore.prototype.runExclusive = function (fn, options) {
+        var acquired, result;
+
+        acquired = this.acquire(options);
+        result = acquired.then(function (release) {
+            var work;
+
+            try {
+                work = fn();
+            } catch (ex) {
+                release();
+                throw ex;
+            }
+
+            return FidPromise.resolve(work).then(function (value) {
+                release();
+
+                return value;
+            }, function (reason) {
+                release();
+                throw reason;
+            });
+        });
+
+        // Cancelling skips the callbacks above, so release here as well
+        result.onCancel(function () {
+            if (acquired.isFulfilled()) {
+                acquired.value()();
+            }
+        });
+
+        return result;
+    };
 
     /**
-     * Mark a promise as successfully completed.  Passes arguments
-     * to onSuccess callbacks registered with .then()
+     * How many callers are waiting for a slot.
      *
-     * @param {*} value
+     * @return {number}
      */
-    FidPromise.prototype.resolve = function (value) {
-        complete(this, true, value);
+    FidPromise.Semaphore.prototype.waiting = function () {
+        return this.waiters.length;
     };
 
 
     /**
-     * On success only, run this method.
+     * A semaphore with a single slot, so only one caller at a time gets
+     * in.  It has the same methods as FidPromise.Semaphore.
+     *
+     *   mutex = new FidPromise.Mutex();
+     *   mutex.runExclusive(function () {
+     *       return updateCache(key);
+     *   });
+     */
+    FidPromise.Mutex = function () {
+        if (!(this instanceof FidPromise.Mutex)) {
+            return new FidPromise.Mutex();
+        }
+
+        FidPromise.Semaphore.call(this, 1);
+    };
+
+    FidPromise.Mutex.prototype = Object.create(FidPromise.Semaphore.prototype);
+    FidPromise.Mutex.prototype.constructor = FidPromise.Mutex;
+
+
+    /**
+     * Wait for every input to settle and resolve with a description of
+     * each one.  Never rejects.  This is the same as calling after() with
+     * {detailed: true}.
      *
+     * @param {(Array|Map|Iterable)} promises
      * @return {FidPromise}
      */
-    FidPromise.prototype.success = function (fn) {
-        return addCallbacks(this, fn);
+    FidPromise.settle = function (promises) {
+        return FidPromise.after(promises, {
+            detailed: true
+        });
     };
 
 
     /**
-     * Accept onSuccess and onError callbacks.  Adds them to our
-     * arrays and will return a new FidPromise.
+     * Resolve with the first count values, in the order they were
+     * resolved.  See FidPromise.prototype.some().
      *
-     * @param {(Function|null)} onSuccess
-     * @param {(Function|null)} onError
+     * @param {Iterable} iterable Promises, thenables or plain values
+     * @param {number} count
      * @return {FidPromise}
      */
-    FidPromise.prototype.then = function (onSuccess, onError) {
-        var nextPromise;
+    FidPromise.some = function (iterable, count) {
+        var promise;
 
-        return addCallbacks(this, onSuccess, onError);
+        promise = new FidPromise();
+        promise.some(iterable, count);
+
+        return promise;
     };
 
 
     /**
-     * Become resolved only when everything is resolved, but will be
-     * rejected as soon as any promise is rejected.  Very similar to
-     * after().
+     * Run a generator, waiting on whatever it yields.  FidPromises and
+     * other thenables resume the generator with their value or throw
+     * their reason into it.  Arrays are waited upon like when() and other
+     * values are passed right back.  Every step goes through the
+     * scheduler, so long loops do not grow the stack.  Resolves with what
+     * the generator returns.
      *
-     * // Resolve once all of the promises are resolved
-     * promises = [ callback1, callback2, callback3 ].map(function (cb) {
-     *     // Your callback returns a promise
-     *     return cb();
-     * });
-     * myPromise.when(promises);
+     * Cancelling the promise cancels what the generator is waiting on and
+     * calls generator.return() so its finally blocks run.
      *
-     * @param Array promises
-     * @return this
+     * @param {(Generator|Function)} generator Or a generator function to call
+     * @return {FidPromise}
+     * @throws {TypeError} When it is not a generator
      */
-    FidPromise.prototype.when = function (promises) {
-        var myself, successResults, waitingFor;
+    FidPromise.spawn = function (generator) {
+        var promise, waiting;
 
-        waitingFor = 0;
-        successResults = [];
-        myself = this;
+        function waitOn(current) {
+            waiting = current.then(function (value) {
+                step('next', value);
+            }, function (reason) {
+                step('throw', reason);
+            });
+        }
 
-        promises.forEach(function (promise) {
-            if (getThen(promise)) {
-                waitingFor += 1;
-                debugMessage(myself, '(when) Adding then');
-                promise.then(function (result) {
-                    // When all are resolved, resolve this promise
-                    waitingFor -= 1;
+        function step(method, arg) {
+            var result;
 
-                    if (result !== undefined) {
-                        successResults.push(result);
+            waiting = null;
+
+            try {
+                result = generator[method](arg);
+            } catch (ex) {
+                debugMessage(promise, '(spawn) Generator threw an error');
+                promise.reject(ex);
+
+                return;
+            }
+
+            if (result.done) {
+                promise.resolve(result.value);
+            } else if (Array.isArray(result.value)) {
+                waitOn(FidPromise.when(result.value));
+            } else {
+                waitOn(FidPromise.resolve(result.value));
+            }
+        }
+
+        if (typeof generator === 'function') {
+            generator = generator();
+        }
+
+        if (!generator || typeof generator.next !== 'function' || typeof generator['throw'] !== 'function') {
+            throw new TypeError('Not a generator: ' + generator);
+        }
+
+        promise = new FidPromise();
+        promise.onCancel(function () {
+            if (waiting) {
+                waiting.cancel();
+            }
+
+            if (typeof generator['return'] === 'function') {
+                try {
+                    generator['return']();
+                } catch (ex) {
+                    throwLater(ex);
+                }
+            }
+        });
+        waitOn(FidPromise.resolve());
+
+        return promise;
+    };
+
+
+    /**
+     * Deterministic test mode.  While enabled, FidPromise.scheduler puts
+     * work into an in-memory queue and FidPromise.clock is a virtual clock,
+     * so nothing happens until flush() or tick() is called.
+     *
+     *   FidPromise.testing.enable();
+     *   promise = FidPromise.resolve(1).then(double);
+     *   FidPromise.testing.flush();
+     *   assert.equal(2, promise.value());
+     *   FidPromise.testing.disable();
+     *
+     * Always call disable() afterwards.  It puts back the scheduler and
+     * clock that were in use before and hands any queued work over to
+     * them.  Timers on the virtual clock are dropped.
+     */
+    FidPromise.testing = {
+        /**
+         * Leave test mode.
+         */
+        disable: function () {
+            var errors, queue;
+
+            if (!testState) {
+                return;
+            }
+
+            errors = testState.errors;
+            queue = testState.queue;
+            FidPromise.clock = testState.clock;
+            FidPromise.scheduler = testState.scheduler;
+            testState = null;
+            queue.forEach(function (fn) {
+                FidPromise.scheduler(fn);
+            });
+            errors.forEach(throwLater);
+        },
+
+        /**
+         * Enter test mode.  The virtual clock starts at 0.  Calling this
+         * while already enabled does nothing.
+         */
+        enable: function () {
+            if (testState) {
+                return;
+            }
+
+            testState = {
+                clock: FidPromise.clock,
+                errors: [],
+                lastHandle: 0,
+                queue: [],
+                scheduler: FidPromise.scheduler,
+                time: 0,
+                timers: []
+            };
+            FidPromise.scheduler = function (fn) {
+                testState.queue.push(fn);
+            };
+            FidPromise.clock = {
+                clearTimeout: function (handle) {
+                    testState.timers = testState.timers.filter(function (timer) {
+                        return timer.handle !== handle;
+                    });
+                },
+                setTimeout: function (fn, ms) {
+                    var index, timer;
+
+                    testState.lastHandle += 1;
+                    timer = {
+                        at: testState.time + (ms || 0),
+                        fn: fn,
+                        handle: testState.lastHandle
+                    };
+
+                    // Keep timers sorted, in the order they were set
+                    index = testState.timers.length;
+
+                    while (index && testState.timers[index - 1].at > timer.at) {
+                        index -= 1;
                     }
 
-                    if (!waitingFor) {
-                        debugMessage(myself, '(when resolved) resolved last dependency');
-                        myself.resolve(successResults);
-                    } else {
-                        debugMessage(myself, '(when resolved) ' + waitingFor + ' left');
+                    testState.timers.splice(index, 0, timer);
+
+                    return timer.handle;
+                }
+            };
+
+            // A flush that was already requested would happen outside of
+            // test mode, so make it do nothing and request it again here.
+            flushGeneration += 1;
+
+            if (flushRequested) {
+                requestFlush();
+            }
+        },
+
+        /**
+         * Run everything that is queued, including the work it queues,
+         * until nothing is left.  Throws when more than loopLimit tasks
+         * run, which usually means promises keep resolving each other
+         * forever.  The queued work is dropped when that happens.
+         *
+         * Errors that callbacks throw where nobody can catch them, such as
+         * from progress or cancel handlers, are thrown from here after the
+         * queue is empty, one per call.
+         *
+         * @return {number} How many tasks ran
+         */
+        flush: function () {
+            var count, limit;
+
+            if (!testState) {
+                throw new Error('FidPromise.testing is not enabled');
+            }
+
+            limit = FidPromise.testing.loopLimit;
+            taskLimit = limit;
+
+            try {
+                while (testState.queue.length) {
+                    if (taskLimit === 0) {
+                        taskQueue = [];
+                        taskIndex = 0;
+                        flushRequested = false;
+                        testState.queue = [];
+                        throw new Error('Possible infinite resolution loop, ran more than ' + limit + ' tasks');
                     }
-                }, function (err) {
-                    // When any are rejected, immediately reject this promise
-                    waitingFor -= 1;
-                    debugMessage(myself, '(when rejected) ' + waitingFor + ' left');
-                    myself.reject(err);
-                });
+
+                    taskLimit -= 1;
+                    testState.queue.shift()();
+                }
+            } finally {
+                count = limit - taskLimit;
+                taskLimit = null;
             }
-        });
 
-        // Ok, now we can check to see if we are waiting for things
-        if (!waitingFor) {
-            debugMessage(myself, '(when) Immediately resolved - no dependencies');
-            myself.resolve(this.successResults);
+            // Errors that would have been thrown later come out one per call
+            if (testState.errors.length) {
+                throw testState.errors.shift();
+            }
+
+            return count;
+        },
+
+        /**
+         * How many tasks flush() may run before it gives up.
+         */
+        loopLimit: 100000,
+
+        /**
+         * Move the virtual clock forward, running timers as their time
+         * comes up.  Queued work is flushed before and after each timer.
+         *
+         * @param {number} ms
+         */
+        tick: function (ms) {
+            var target, timer;
+
+            FidPromise.testing.flush();
+            target = testState.time + (ms || 0);
+
+            while (testState.timers.length && testState.timers[0].at <= target) {
+                timer = testState.timers.shift();
+                testState.time = timer.at;
+                timer.fn();
+                FidPromise.testing.flush();
+            }
+
+            testState.time = target;
+        }
+    };
+
+
+    /**
+     * The error used when a promise takes too long, such as with
+     * timeout() or the timeout option of when() and after().
+     *
+     * @param {string} message
+     */
+    FidPromise.TimeoutError = function (message) {
+        if (!(this instanceof FidPromise.TimeoutError)) {
+            return new FidPromise.TimeoutError(message);
         }
 
-        return this;
+        this.message = message;
+
+        if (typeof Error.captureStackTrace === 'function') {
+            Error.captureStackTrace(this, FidPromise.TimeoutError);
+        } else {
+            this.stack = new Error(message).stack;
+        }
     };
 
+    FidPromise.TimeoutError.prototype = Object.create(Error.prototype);
+    FidPromise.TimeoutError.prototype.constructor = FidPromise.TimeoutError;
+    FidPromise.TimeoutError.prototype.name = 'TimeoutError';
+
 
     /**
-     * Easy way to make a new promise based on the completion of other
-     * promises.  Waits for all promises to be resolved, one way or another.
+     * Convert trace events into Chrome's trace event format.  Save the
+     * result as JSON and load it in chrome://tracing or Perfetto.
      *
-     * Old:  var promise = new FidPromise();
-     *       promise = promise.after([other, promises, go, here]);
-     *       promise.then(...);
+     * Each promise is an async slice from when it was created until it
+     * was settled or cancelled.  Callbacks are slices on the main thread
+     * and the rest of the events are marks on the promise's slice.
      *
-     * New:  FidPromise.after([other, promises, go, here]).then(...);
+     * @param {Array.<FidPromise~traceEvent>} events
+     * @return {Object}
+     */
+    FidPromise.toChromeTrace = function (events) {
+        var parents, traceEvents;
+
+        function base(event, ph, name) {
+            return {
+                args: {
+                    id: event.id,
+                    message: event.message
+                },
+                cat: 'promise',
+                name: name,
+                ph: ph,
+                pid: 1,
+                tid: 1,
+                ts: event.time * 1000
+            };
+        }
+
+        parents = {};
+        events.forEach(function (event) {
+            if (event.type === 'callbacksAdded') {
+                parents[event.childId] = event.id;
+            }
+        });
+        traceEvents = events.map(function (event) {
+            var chromeEvent;
+
+            switch (event.type) {
+            case 'created':
+                chromeEvent = base(event, 'b', event.label || 'promise');
+                chromeEvent.args.parentId = parents[event.id];
+                break;
+
+            case 'settled':
+            case 'cancelled':
+                chromeEvent = base(event, 'e', event.label || 'promise');
+                chromeEvent.args.state = event.type === 'cancelled' ? 'cancelled' : event.state;
+                break;
+
+            case 'callbackStarted':
+                chromeEvent = base(event, 'B', 'callback');
+                chromeEvent.args.childId = event.childId;
+
+                return chromeEvent;
+
+            case 'callbackFinished':
+                return base(event, 'E', 'callback');
+
+            default:
+                chromeEvent = base(event, 'n', event.type);
+                chromeEvent.args.childId = event.childId;
+                chromeEvent.args.otherId = event.otherId;
+            }
+
+            chromeEvent.id = event.id;
+
+            return chromeEvent;
+        });
+
+        return {
+            displayTimeUnit: 'ms',
+            traceEvents: traceEvents
+        };
+    };
+
+
+    /**
+     * Write a graph from FidPromise.inspect() in Graphviz's DOT language.
+     * Pending promises are highlighted.
      *
-     * @param Array promises
+     *   fs.writeFileSync('promises.dot', FidPromise.toDot(FidPromise.inspect(promise)));
+     *   // Then run:  dot -Tsvg promises.dot > promises.svg
+     *
+     * @param {FidPromise~graph} graph
+     * @return {string}
      */
-    FidPromise.after = function (promises) {
-        var promise;
+    FidPromise.toDot = function (graph) {
+        var colors, lines;
 
-        promise = new FidPromise();
-        promise.after(promises);
-        return promise;
+        function quote(str) {
+            return '"' + String(str).replace(/(["\\])/g, '\\$1').replace(/\n/g, '\\n') + '"';
+        }
+
+        colors = {
+            cancelled: 'gray80',
+            fulfilled: 'palegreen',
+            pending: 'gold',
+            rejected: 'salmon'
+        };
+        lines = [
+            'digraph promises {'
+        ];
+        graph.nodes.forEach(function (node) {
+            var attributes, label;
+
+            label = node.id + '\n' + node.state;
+
+            if (node.label) {
+                label = node.label + '\n' + label;
+            }
+
+            attributes = 'label=' + quote(label) + ', style=filled, fillcolor=' + colors[node.state];
+
+            if (node.state === 'pending') {
+                attributes += ', penwidth=3';
+            }
+
+            lines.push('    ' + quote(node.id) + ' [' + attributes + '];');
+        });
+        graph.edges.forEach(function (edge) {
+            lines.push('    ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.type) + '];');
+        });
+        lines.push('}');
+
+        return lines.join('\n') + '\n';
+    };
+
+
+    /**
+     * Start recording trace events.  Call stop() on the recorder when
+     * done and use toChromeTrace() to export what was recorded.
+     *
+     *   recorder = FidPromise.traceRecorder();
+     *   doSomethingAsync().always(function () {
+     *       recorder.stop();
+     *       fs.writeFileSync('trace.json', JSON.stringify(recorder.toChromeTrace()));
+     *   });
+     *
+     * @return {Object} Has events, stop() and toChromeTrace()
+     */
+    FidPromise.traceRecorder = function () {
+        var recorder;
+
+        function record(event) {
+            recorder.events.push(event);
+        }
+
+        recorder = {
+            events: [],
+            stop: function () {
+                FidPromise.removeTraceListener(record);
+            },
+            toChromeTrace: function () {
+                return FidPromise.toChromeTrace(recorder.events);
+            }
+        };
+        FidPromise.addTraceListener(record);
+
+        return recorder;
     };
 
 
@@ -509,13 +4690,15 @@
      *
      * New:  FidPromise.when([other, promises, go, here]).then(...);
      *
-     * @param Array promises
+     * @param {(Array|Map|Iterable)} promises
+     * @param {Object} [options] See FidPromise.prototype.when()
+     * @return {FidPromise}
      */
-    FidPromise.when = function (promises) {
+    FidPromise.when = function (promises, options) {
         var promise;
 
         promise = new FidPromise();
-        promise.when(promises);
+        promise.when(promises, options);
         return promise;
     };
 
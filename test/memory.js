@@ -0,0 +1,75 @@
+// Reuses one settled promise a million times and checks that the heap
+// does not grow.  Settled promises must not hold on to the callbacks and
+// child promises that were attached to them.
+/*global describe, global, it, process*/
+
+'use strict';
+
+var Assert, BATCH, FidPromise, ROUNDS;
+
+Assert = require('assert');
+FidPromise = require('../lib/fid-promise.js');
+BATCH = 100000;
+ROUNDS = 10;
+
+function noop() {
+	return;
+}
+
+function heapAfterBatch(promise, callback) {
+	var i;
+
+	for (i = 0; i < BATCH; i += 1) {
+		promise.then(noop);
+	}
+
+	// Callbacks run in order, so this one is last
+	promise.then(function () {
+		setTimeout(function () {
+			global.gc();
+			callback(process.memoryUsage().heapUsed);
+		});
+	});
+}
+
+describe('Memory', function () {
+	this.timeout(60000);
+
+	it('stays constant when a settled promise is reused ' + BATCH * ROUNDS + ' times', function (done) {
+		var baseline, promise, round;
+
+		// Garbage collection is needed for stable measurements.  The test
+		// script runs mocha with --expose-gc.
+		if (typeof global.gc !== 'function') {
+			this.skip();
+		}
+
+		promise = FidPromise.resolve({
+			cached: 'config'
+		});
+		round = 0;
+
+		function next(heapUsed) {
+			round += 1;
+
+			if (round === 1) {
+				baseline = heapUsed;
+			}
+
+			if (round < ROUNDS) {
+				heapAfterBatch(promise, next);
+
+				return;
+			}
+
+			try {
+				Assert.ok(heapUsed - baseline < 2 * 1024 * 1024, 'Heap grew by ' + (heapUsed - baseline) + ' bytes');
+				done();
+			} catch (err) {
+				done(err);
+			}
+		}
+
+		heapAfterBatch(promise, next);
+	});
+});
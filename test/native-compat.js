@@ -0,0 +1,242 @@
+// Runs the same scenarios against native Promise and FidPromise and checks
+// that both settle the same way.
+/*global describe, it, Promise, Set*/
+
+'use strict';
+
+var Assert, FidPromise, scenarios;
+
+Assert = require('assert');
+FidPromise = require('../lib/fid-promise.js');
+
+/**
+ * Describe how a promise settled so results from both implementations
+ * can be compared.  Errors are reduced to their name and the errors they
+ * hold because messages are allowed to differ.
+ */
+function describeValue(value) {
+	if (value instanceof Error) {
+		return {
+			errors: value.errors,
+			name: value.name
+		};
+	}
+
+	return value;
+}
+
+function settle(promise) {
+	return new Promise(function (resolve) {
+		promise.then(function (value) {
+			resolve({
+				status: 'fulfilled',
+				value: describeValue(value)
+			});
+		}, function (reason) {
+			resolve({
+				reason: describeValue(reason),
+				status: 'rejected'
+			});
+		});
+	});
+}
+
+function thenable(value, fail) {
+	return {
+		then: function (onSuccess, onError) {
+			setTimeout(function () {
+				if (fail) {
+					onError(value);
+				} else {
+					onSuccess(value);
+				}
+			});
+		}
+	};
+}
+
+function delayed(P, value, ms, fail) {
+	return new P(function (resolve, reject) {
+		setTimeout(function () {
+			if (fail) {
+				reject(value);
+			} else {
+				resolve(value);
+			}
+		}, ms);
+	});
+}
+
+scenarios = {
+	'executor resolving': function (P) {
+		return new P(function (resolve) {
+			resolve('yes');
+		});
+	},
+	'executor rejecting': function (P) {
+		return new P(function (resolve, reject) {
+			reject('no');
+		});
+	},
+	'executor throwing': function (P) {
+		return new P(function () {
+			throw new RangeError('thrown');
+		});
+	},
+	'executor throwing after resolving': function (P) {
+		return new P(function (resolve) {
+			resolve('first');
+			throw new Error('ignored');
+		});
+	},
+	'executor resolving with a thenable': function (P) {
+		return new P(function (resolve) {
+			resolve(thenable('adopted'));
+		});
+	},
+	'catch recovering': function (P) {
+		return P.reject('bad')['catch'](function (reason) {
+			return 'recovered from ' + reason;
+		});
+	},
+	'catch skipped on success': function (P) {
+		return P.resolve('fine')['catch'](function () {
+			return 'wrong';
+		});
+	},
+	'finally passing along a value': function (P) {
+		return P.resolve('kept')['finally'](function () {
+			return 'ignored';
+		});
+	},
+	'finally passing along a reason': function (P) {
+		return P.reject('kept')['finally'](function () {
+			return 'ignored';
+		});
+	},
+	'finally throwing': function (P) {
+		return P.resolve('lost')['finally'](function () {
+			throw new TypeError('replaced');
+		});
+	},
+	'finally returning a rejection': function (P) {
+		return P.resolve('lost')['finally'](function () {
+			return P.reject('replaced');
+		});
+	},
+	'finally waiting for its promise': function (P) {
+		var order;
+
+		order = [];
+
+		return P.resolve('value')['finally'](function () {
+			return delayed(P, null, 5).then(function () {
+				order.push('finally');
+			});
+		}).then(function (value) {
+			order.push(value);
+
+			return order;
+		});
+	},
+	'finally without a function': function (P) {
+		return P.resolve('value')['finally']();
+	},
+	'resolve with a value': function (P) {
+		return P.resolve(42);
+	},
+	'resolve with a rejected thenable': function (P) {
+		return P.resolve(thenable('nope', true));
+	},
+	'reject with a value': function (P) {
+		return P.reject(42);
+	},
+	'all with mixed inputs': function (P) {
+		return P.all([
+			1,
+			P.resolve(2),
+			thenable(3),
+			delayed(P, 4, 5),
+			undefined
+		]);
+	},
+	'all with an empty array': function (P) {
+		return P.all([]);
+	},
+	'all with a Set': function (P) {
+		return P.all(new Set([
+			P.resolve('a'),
+			'b'
+		]));
+	},
+	'all with a string': function (P) {
+		return P.all('abc');
+	},
+	'all with a rejection': function (P) {
+		return P.all([
+			delayed(P, 'slow', 20),
+			delayed(P, 'fast failure', 5, true)
+		]);
+	},
+	'all with something not iterable': function (P) {
+		return P.all(5);
+	},
+	'allSettled with mixed results': function (P) {
+		return P.allSettled([
+			P.resolve('a'),
+			P.reject('b'),
+			'c',
+			thenable('d', true)
+		]);
+	},
+	'allSettled with an empty array': function (P) {
+		return P.allSettled([]);
+	},
+	'any with one success': function (P) {
+		return P.any([
+			P.reject('a'),
+			delayed(P, 'b', 5),
+			delayed(P, 'c', 10)
+		]);
+	},
+	'any with every input rejected': function (P) {
+		return P.any([
+			delayed(P, 'slow', 10, true),
+			P.reject('fast')
+		]);
+	},
+	'any with an empty array': function (P) {
+		return P.any([]);
+	},
+	'race with the fastest winning': function (P) {
+		return P.race([
+			delayed(P, 'slow', 20),
+			delayed(P, 'fast', 5)
+		]);
+	},
+	'race with the fastest failing': function (P) {
+		return P.race([
+			delayed(P, 'slow', 20),
+			delayed(P, 'fast', 5, true)
+		]);
+	},
+	'race with a plain value': function (P) {
+		return P.race([
+			delayed(P, 'slow', 5),
+			'now'
+		]);
+	}
+};
+
+describe('Native Promise compatibility', function () {
+	Object.keys(scenarios).forEach(function (name) {
+		it(name, function () {
+			return Promise.all([
+				settle(scenarios[name](Promise)),
+				settle(scenarios[name](FidPromise))
+			]).then(function (results) {
+				Assert.deepStrictEqual(results[1], results[0]);
+			});
+		});
+	});
+});
@@ -0,0 +1,105 @@
+// Runs long chains of promises through every built-in scheduler.  Each
+// chain has to finish without overflowing the call stack.  Set
+// FID_PROMISE_BENCHMARK=1 to print how long each one took so the strategies
+// can be compared.
+/*global after, afterEach, beforeEach, describe, it, process*/
+
+'use strict';
+
+var Assert, FidPromise, LINKS, timings;
+
+Assert = require('assert');
+FidPromise = require('../lib/fid-promise.js');
+LINKS = 10000;
+timings = [];
+
+function chained(links) {
+	var i, last, p;
+
+	p = new FidPromise();
+	last = p;
+
+	for (i = 0; i < links; i += 1) {
+		last = last.then(function (value) {
+			return value + 1;
+		});
+	}
+
+	p.resolve(0);
+
+	return last;
+}
+
+function nested(remaining) {
+	var p;
+
+	p = new FidPromise();
+	p.resolve(remaining);
+
+	return p.then(function (value) {
+		if (!value) {
+			return 'done';
+		}
+
+		return nested(value - 1);
+	});
+}
+
+function timed(name, shape, promise, check, done) {
+	var start;
+
+	start = Date.now();
+	promise.then(function (value) {
+		timings.push({
+			ms: Date.now() - start,
+			name: name,
+			shape: shape
+		});
+
+		try {
+			check(value);
+			done();
+		} catch (err) {
+			done(err);
+		}
+	}, done);
+}
+
+describe('Scheduler benchmark', function () {
+	this.timeout(30000);
+
+	Object.keys(FidPromise.schedulers).forEach(function (name) {
+		describe(name, function () {
+			var oldScheduler;
+
+			beforeEach(function () {
+				oldScheduler = FidPromise.scheduler;
+				FidPromise.scheduler = FidPromise.schedulers[name];
+			});
+			afterEach(function () {
+				FidPromise.scheduler = oldScheduler;
+			});
+			it('finishes a ' + LINKS + '-link then() chain', function (done) {
+				timed(name, 'chained', chained(LINKS), function (value) {
+					Assert.equal(LINKS, value);
+				}, done);
+			});
+			it('finishes ' + LINKS + ' nested promises', function (done) {
+				timed(name, 'nested', nested(LINKS), function (value) {
+					Assert.equal('done', value);
+				}, done);
+			});
+		});
+	});
+
+	after(function () {
+		if (!process.env.FID_PROMISE_BENCHMARK) {
+			return;
+		}
+
+		console.log('');
+		timings.forEach(function (timing) {
+			console.log('    ' + timing.name + ' ' + timing.shape + ': ' + timing.ms + 'ms');
+		});
+	});
+});
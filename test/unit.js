@@ -5,16 +5,18 @@
  * tests mostly the "ease of use" functionality that is tacked on beyond
  * what the spec regulates.
  */
-/*global afterEach, beforeEach, describe, it*/
+/*global AbortController, afterEach, beforeEach, describe, Event, EventTarget, it, Map, process, Set*/
 
 'use strict';
 
-var Assert, FidPromise;
+var Assert, EventEmitter, FidPromise;
 
 Assert = require('assert');
+EventEmitter = require('events').EventEmitter;
 FidPromise = require('../lib/fid-promise.js');
 
 function FakePromise() {
+    this.state = null;
     this.thenCallArray = [];
 }
 
@@ -30,6 +32,45 @@ describe('FidPromise()', function () {
 		Assert.equal(null, p.state);
 		Assert.equal(0, p.thenCallArray.length);
 	});
+	it('calls an executor immediately', function () {
+		var p;
+		p = new FidPromise(function (resolve) {
+			resolve('done');
+		});
+		Assert.equal(true, p.state);
+		Assert.equal('done', p.data);
+	});
+	it('rejects when the executor throws', function () {
+		var err, p;
+		err = new Error('oops');
+		p = new FidPromise(function () {
+			throw err;
+		});
+		Assert.equal(false, p.state);
+		Assert.strictEqual(err, p.data);
+	});
+	it('works without new', function () {
+		Assert.equal(true, FidPromise() instanceof FidPromise);
+	});
+});
+
+describe('FidPromise.prototype.abortSignal()', function () {
+	it('aborts when the promise is cancelled', function () {
+		var p, signal;
+		p = new FidPromise();
+		signal = p.abortSignal();
+		Assert.strictEqual(signal, p.abortSignal());
+		Assert.equal(false, signal.aborted);
+		p.cancel('stop');
+		Assert.equal(true, signal.aborted);
+		Assert.equal('stop', signal.reason);
+	});
+	it('is already aborted for cancelled promises', function () {
+		var p;
+		p = new FidPromise();
+		p.cancel('stop');
+		Assert.equal(true, p.abortSignal().aborted);
+	});
 });
 
 describe('FidPromise.prototype.after()', function () {
@@ -141,6 +182,18 @@ describe('FidPromise.prototype.after()', function () {
 			}
 		});
 	});
+	it('cancels outstanding inputs when cancelled', function () {
+		var p, promises;
+		promises = [
+			resolvedPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.after(promises);
+		p.cancel();
+		Assert.equal(true, promises[0].state);
+		Assert.equal(true, promises[1].cancelled);
+	});
 	it('rejects after any rejections', function (done) {
 		var p, promises;
 		promises = [
@@ -167,197 +220,4037 @@ describe('FidPromise.prototype.after()', function () {
 			}
 		});
 	});
-});
-
-describe('FidPromise.prototype.always()', function () {
-	it('adds callbacks correctly', function () {
-		var faker, result;
-
-		faker = new FakePromise();
-		result = FidPromise.prototype.always.call(faker, noop);
-        Assert.equal(faker.thenCallArray[0].onSuccess, noop);
-        Assert.equal(faker.thenCallArray[0].onError, noop);
-        Assert.notEqual(faker.thenCallArray[0].nextPromise, undefined);
-		Assert.notStrictEqual(faker, result);
-	});
-});
-
-describe('FidPromise.prototype.error()', function () {
-	it('adds callbacks correctly', function () {
-		var faker, result;
-
-		faker = new FakePromise();
-		result = FidPromise.prototype.error.call(faker, noop);
-        Assert.equal(faker.thenCallArray[0].onSuccess, null);
-        Assert.equal(faker.thenCallArray[0].onError, noop);
-        Assert.notEqual(faker.thenCallArray[0].nextPromise, undefined);
-		Assert.notStrictEqual(faker, result);
-	});
-});
-
-describe('FidPromise.prototype.success()', function () {
-	it('adds callbacks correctly', function () {
-		var faker, result;
-
-		faker = new FakePromise();
-		result = FidPromise.prototype.success.call(faker, noop);
-        Assert.equal(faker.thenCallArray[0].onSuccess, noop);
-        Assert.equal(faker.thenCallArray[0].onError, undefined);
-        Assert.notEqual(faker.thenCallArray[0].nextPromise, undefined);
-		Assert.notStrictEqual(faker, result);
-	});
-});
-
-describe('FidPromise.prototype.when()', function () {
-	function openPromise() {
-		var p;
-		p = new FidPromise();
-		return p;
-	}
-
-	function rejectedPromise() {
-		var p;
-		p = new FidPromise();
-		p.reject();
-		return p;
-	}
-
-	function resolvedPromise() {
-		var p;
-		p = new FidPromise();
-		p.resolve();
-		return p;
-	}
-
-	it('returns itself', function () {
-		var p;
-		p = openPromise();
-		Assert.equal(p, p.when([]));
-	});
-
-	it('does not immediately resolve with first fulfilled promise', function (done) {
-		var p;
-		p = openPromise();
-		p.when([
-			resolvedPromise(),
+	it('reports progress as inputs settle', function (done) {
+		var p, promises, seen;
+		seen = [];
+		promises = [
+			openPromise(),
+			'not a promise',
 			openPromise()
-		]);
-		Assert.equal(null, p.state);
+		];
+		p = openPromise();
+		p.after(promises).progress(function (value) {
+			seen.push(value);
+		});
+		promises[2].reject();
+		promises[0].resolve();
 		setTimeout(function () {
-			// Still should not be resolved
 			try {
-				Assert.equal(null, p.state);
+				Assert.deepEqual([
+					{
+						done: 1,
+						total: 2
+					},
+					{
+						done: 2,
+						total: 2
+					}
+				], seen);
 				done();
 			} catch (err) {
 				done(err);
 			}
-		});
+		}, 10);
 	});
-	it('immediately resolves with empty array', function () {
-		var p;
+	it('lines results up with the input', function (done) {
+		var p, promises;
+		promises = [
+			openPromise(),
+			'plain value',
+			openPromise(),
+			undefined
+		];
 		p = openPromise();
-		p.when([]);
-		// Synchronous resolution
-		Assert.equal(true, p.state);
+		p.after(promises).then(function (results) {
+			try {
+				Assert.deepEqual([
+					undefined,
+					'plain value',
+					'second',
+					undefined
+				], results);
+				Assert.equal(4, results.length);
+				Assert.ok(0 in results);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+		promises[2].resolve('second');
+		promises[0].resolve();
 	});
-	it('resolves after all promises are resolved', function (done) {
+	it('says which indexes were rejected', function (done) {
 		var p, promises;
 		promises = [
-			openPromise(),
 			openPromise(),
 			openPromise(),
 			openPromise()
 		];
 		p = openPromise();
-		p.when(promises);
-		Assert.equal(null, p.state);
-		promises[0].resolve();
-		promises[3].resolve();
-		promises[2].resolve();
-		Assert.equal(null, p.state);
-		setTimeout(function () {
-			// Still should not be resolved
+		p.after(promises).then(null, function (reasons) {
 			try {
-				Assert.equal(null, p.state);
+				Assert.deepEqual([
+					'first',
+					'third'
+				], reasons.slice());
+				Assert.deepEqual([
+					0,
+					2
+				], reasons.indexes);
+				done();
 			} catch (err) {
 				done(err);
 			}
-
-			// The resolution happens asynchronously
-			promises[1].resolve();
-			setTimeout(function () {
-				try {
-					Assert.equal(true, p.state);
-					done();
-				} catch (err) {
-					done(err);
-				}
-			});
 		});
+		promises[2].reject('third');
+		promises[1].resolve();
+		promises[0].reject('first');
 	});
-	it('immediately rejects with any rejected promise', function (done) {
+	it('resolves a Map to a Map', function (done) {
+		var input, p;
+		input = new Map();
+		input.set('a', FidPromise.resolve(1));
+		input.set('b', 2);
+		p = openPromise();
+		p.after(input).then(function (result) {
+			try {
+				Assert.ok(result instanceof Map);
+				Assert.deepEqual([
+					[
+						'a',
+						1
+					],
+					[
+						'b',
+						2
+					]
+				], Array.from(result));
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('uses Map keys for rejected indexes', function (done) {
+		var input;
+		input = new Map();
+		input.set('a', FidPromise.resolve(1));
+		input.set('b', FidPromise.reject('bad'));
+		openPromise().after(input).then(null, function (reasons) {
+			try {
+				Assert.deepEqual([
+					'bad'
+				], reasons.slice());
+				Assert.deepEqual([
+					'b'
+				], reasons.indexes);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('keeps the old behavior with the legacy option', function (done) {
 		var p, promises;
 		promises = [
 			openPromise(),
-			rejectedPromise(),
+			'skipped',
 			openPromise(),
 			openPromise()
 		];
 		p = openPromise();
-		p.when(promises);
-		Assert.equal(null, p.state);
-		// The resolution happens asynchronously
-		setTimeout(function () {
+		p.after(promises, {
+			legacy: true
+		}).then(null, function (reasons) {
 			try {
-				Assert.equal(false, p.state);
+				Assert.deepEqual([
+					'later',
+					'sooner'
+				], reasons);
+				Assert.equal(undefined, reasons.indexes);
 				done();
 			} catch (err) {
 				done(err);
 			}
 		});
+		promises[3].reject('later');
+		promises[2].reject('sooner');
+		promises[0].resolve();
 	});
-	it('rejects after any rejections', function (done) {
+	it('describes every input with the detailed option', function (done) {
 		var p, promises;
 		promises = [
 			openPromise(),
-			openPromise(),
-			openPromise(),
+			'plain value',
 			openPromise()
 		];
 		p = openPromise();
-		p.when(promises);
-		Assert.equal(null, p.state);
-		promises[2].reject();
-		Assert.equal(null, p.state);
-		// The resolution happens asynchronously
-		setTimeout(function () {
+		p.after(promises, {
+			detailed: true
+		}).then(function (settlements) {
 			try {
-				Assert.equal(false, p.state);
+				Assert.equal(3, settlements.length);
+				Assert.equal('fulfilled', settlements[0].status);
+				Assert.equal('first', settlements[0].value);
+				Assert.equal(0, settlements[0].index);
+				Assert.equal('fulfilled', settlements[1].status);
+				Assert.equal('plain value', settlements[1].value);
+				Assert.equal(0, settlements[1].durationMs);
+				Assert.equal('rejected', settlements[2].status);
+				Assert.equal('bad', settlements[2].reason);
+				Assert.equal(2, settlements[2].index);
+				Assert.ok(!('value' in settlements[2]));
+				settlements.forEach(function (settlement) {
+					Assert.equal('number', typeof settlement.startedAt);
+					Assert.ok(settlement.settledAt >= settlement.startedAt);
+					Assert.equal(settlement.settledAt - settlement.startedAt, settlement.durationMs);
+				});
 				done();
 			} catch (err) {
 				done(err);
 			}
 		});
+		promises[2].reject('bad');
+		promises[0].resolve('first');
+	});
+	it('rejects with the pending inputs after the timeout', function () {
+		var p, promises;
+		FidPromise.testing.enable();
+		try {
+			promises = [
+				openPromise(),
+				openPromise(),
+				openPromise()
+			];
+			p = openPromise();
+			p.after(promises, {
+				timeout: 100
+			});
+			p.error(noop);
+			promises[1].resolve();
+			FidPromise.testing.tick(100);
+			Assert.ok(p.reason() instanceof FidPromise.TimeoutError);
+			Assert.deepEqual([
+				0,
+				2
+			], p.reason().pending);
+		} finally {
+			FidPromise.testing.disable();
+		}
+	});
+	it('does not time out when the inputs are done in time', function () {
+		var p, promises;
+		FidPromise.testing.enable();
+		try {
+			promises = [
+				openPromise()
+			];
+			p = openPromise();
+			p.after(promises, {
+				timeout: 100
+			});
+			promises[0].resolve('done');
+			FidPromise.testing.tick(100);
+			Assert.deepEqual([
+				'done'
+			], p.value());
+		} finally {
+			FidPromise.testing.disable();
+		}
 	});
 });
 
-describe('FidPromise.after()', function () {
-	var oldAfter, afterCount;
+describe('FidPromise.prototype.always()', function () {
+	it('adds callbacks correctly', function () {
+		var faker, result;
 
-	beforeEach(function () {
-		oldAfter = FidPromise.prototype.after;
-		afterCount = 0;
-		FidPromise.prototype.after = function (arg) {
-			afterCount += 1;
-			Assert.equal('pigs fly', arg);
-		};
+		faker = new FakePromise();
+		result = FidPromise.prototype.always.call(faker, noop);
+        Assert.equal(faker.thenCallArray[0].onSuccess, noop);
+        Assert.equal(faker.thenCallArray[0].onError, noop);
+        Assert.notEqual(faker.thenCallArray[0].nextPromise, undefined);
+		Assert.notStrictEqual(faker, result);
 	});
-	afterEach(function () {
-		FidPromise.prototype.after = oldAfter;
+});
+
+describe('FidPromise.prototype.any()', function () {
+	it('returns itself', function () {
+		var p;
+		p = new FidPromise();
+		Assert.strictEqual(p, p.any([]));
 	});
-	it('simply calls Promise.prototype.after()', function () {
-		FidPromise.after('pigs fly');
-		Assert.equal(1, afterCount);
+	it('releases the other inputs once resolved', function (done) {
+		var p, pending;
+		pending = new FidPromise();
+		p = new FidPromise();
+		p.any([
+			FidPromise.reject('no'),
+			pending,
+			FidPromise.resolve('yes')
+		]).then(function (value) {
+			try {
+				Assert.equal('yes', value);
+				Assert.equal(true, pending.isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.prototype.asReadOnly()', function () {
+	it('passes along how the promise settles', function (done) {
+		var p, view;
+		p = new FidPromise();
+		view = p.asReadOnly();
+		Assert.equal(true, view.isPending());
+		view.then(function (value) {
+			try {
+				Assert.equal('value', value);
+				Assert.equal('value', view.value());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		p.resolve('value');
+	});
+	it('ignores settlement methods', function (done) {
+		var p, view;
+		p = new FidPromise();
+		view = p.asReadOnly();
+		Assert.strictEqual(view, view.resolve('from consumer'));
+		Assert.strictEqual(view, view.reject('from consumer'));
+		Assert.strictEqual(view, view.when([]));
+		view.notify('from consumer');
+		setTimeout(function () {
+			try {
+				Assert.equal(true, p.isPending());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+	it('throws from settlement methods in strict mode', function () {
+		var view;
+		view = new FidPromise().asReadOnly({
+			strict: true
+		});
+		Assert.throws(function () {
+			view.resolve('from consumer');
+		}, /Can not call resolve\(\) on a read-only promise/);
+		Assert.throws(function () {
+			view.after([]);
+		}, /read-only/);
+	});
+	it('does not hand out the promise', function () {
+		var p, view;
+		p = new FidPromise();
+		view = p.asReadOnly();
+		Assert.strictEqual(view, view.onCancel(noop));
+		Assert.strictEqual(view, view.asReadOnly());
+		Assert.notStrictEqual(p, view.then(noop));
+		Assert.equal(false, view instanceof FidPromise);
+	});
+	it('can not be cancelled', function () {
+		var p, view;
+		p = new FidPromise();
+		view = p.asReadOnly();
+		Assert.strictEqual(view, view.cancel('not needed'));
+		Assert.strictEqual(view, view.cancelOn(new AbortController().signal));
+		Assert.equal(false, p.isCancelled());
+		Assert.throws(function () {
+			p.asReadOnly({
+				strict: true
+			}).cancel();
+		}, /Can not call cancel\(\) on a read-only promise/);
+	});
+	it('lets consumers cancel what they chained', function () {
+		var child, p;
+		p = new FidPromise();
+		child = p.asReadOnly().then(noop);
+		child.cancel();
+		Assert.equal(true, child.isCancelled());
+		Assert.equal(false, p.isCancelled());
+		p.resolve('value');
+		Assert.equal('value', p.value());
+	});
+	it('can not be cancelled through what was chained', function () {
+		var deferred, timer;
+		FidPromise.testing.enable();
+
+		try {
+			deferred = FidPromise.defer();
+			timer = deferred.promise.timeout(5);
+			timer.cancel();
+			Assert.equal(true, timer.isCancelled());
+			deferred.promise.error(noop).cancel();
+			deferred.resolve('value');
+			FidPromise.testing.flush();
+			Assert.equal(true, deferred.promise.isFulfilled());
+		} finally {
+			FidPromise.testing.disable();
+		}
+	});
+	it('can be adopted by other promises', function (done) {
+		var p;
+		p = new FidPromise();
+		FidPromise.resolve().then(function () {
+			return p.asReadOnly();
+		}).then(function (value) {
+			try {
+				Assert.equal('value', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		p.resolve('value');
+	});
+});
+
+describe('FidPromise.prototype.catch()', function () {
+	it('adds callbacks correctly', function () {
+		var faker, result;
+
+		faker = new FakePromise();
+		result = FidPromise.prototype['catch'].call(faker, noop);
+		Assert.equal(faker.thenCallArray[0].onSuccess, null);
+		Assert.equal(faker.thenCallArray[0].onError, noop);
+		Assert.notStrictEqual(faker, result);
+	});
+	it('accepts a filter', function () {
+		var faker;
+
+		faker = new FakePromise();
+		FidPromise.prototype['catch'].call(faker, TypeError, noop);
+		Assert.equal(faker.thenCallArray[0].errorFilter, TypeError);
+		Assert.equal(faker.thenCallArray[0].onError, noop);
+	});
+});
+
+describe('FidPromise.prototype.cancel()', function () {
+	it('skips callbacks and ignores later resolution', function (done) {
+		var called, p;
+		called = false;
+		p = new FidPromise();
+		p.then(function () {
+			called = true;
+		});
+		p.cancel();
+		p.resolve('late');
+		Assert.equal(null, p.state);
+		Assert.equal(true, p.cancelled);
+		setTimeout(function () {
+			try {
+				Assert.equal(false, called);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('cancels promises chained after the cancel', function () {
+		var child, errorChild, p;
+		p = new FidPromise();
+		p.cancel('not needed');
+		child = p.then(noop);
+		errorChild = p.error(noop);
+		Assert.equal(true, child.isCancelled());
+		Assert.equal('not needed', child.cancelReason);
+		Assert.equal(true, errorChild.isCancelled());
+		Assert.equal(0, p.thenCallArray.length);
+	});
+	it('does nothing to completed promises', function () {
+		var p;
+		p = new FidPromise();
+		p.resolve('ok');
+		p.cancel();
+		Assert.equal(true, p.state);
+		Assert.equal(undefined, p.cancelled);
+	});
+	it('propagates down the chain', function () {
+		var child, grandchild, p;
+		p = new FidPromise();
+		child = p.then(noop);
+		grandchild = child.then(noop);
+		p.cancel('why');
+		Assert.equal(true, child.cancelled);
+		Assert.equal(true, grandchild.cancelled);
+		Assert.equal('why', grandchild.cancelReason);
+	});
+	it('propagates up when the only consumer is cancelled', function () {
+		var child, p;
+		p = new FidPromise();
+		child = p.then(noop);
+		child.cancel();
+		Assert.equal(true, p.cancelled);
+	});
+	it('does not propagate up while other consumers remain', function () {
+		var child1, child2, p;
+		p = new FidPromise();
+		child1 = p.then(noop);
+		child2 = p.then(noop);
+		child1.cancel();
+		Assert.equal(undefined, p.cancelled);
+		child2.cancel();
+		Assert.equal(true, p.cancelled);
+	});
+	it('skips a callback already scheduled by a completed parent', function (done) {
+		var called, child, p;
+		called = false;
+		p = new FidPromise();
+		child = p.then(function () {
+			called = true;
+		});
+		p.resolve();
+		child.cancel();
+		setTimeout(function () {
+			try {
+				Assert.equal(false, called);
+				Assert.equal(true, p.state);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('cancels an adopted promise', function (done) {
+		var child, inner, p;
+		inner = new FidPromise();
+		p = new FidPromise();
+		child = p.then(function () {
+			return inner;
+		});
+		p.resolve();
+		setTimeout(function () {
+			child.cancel();
+			try {
+				Assert.equal(true, inner.cancelled);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+});
+
+describe('FidPromise.prototype.cancelOn()', function () {
+	it('cancels when the signal aborts', function () {
+		var controller, p;
+		controller = new AbortController();
+		p = new FidPromise();
+		Assert.equal(p, p.cancelOn(controller.signal));
+		controller.abort('gone');
+		Assert.equal(true, p.cancelled);
+		Assert.equal('gone', p.cancelReason);
+	});
+	it('cancels immediately with an aborted signal', function () {
+		var controller, p;
+		controller = new AbortController();
+		controller.abort();
+		p = new FidPromise();
+		p.cancelOn(controller.signal);
+		Assert.equal(true, p.cancelled);
+	});
+	it('stops listening once completed', function () {
+		var controller, p;
+		controller = new AbortController();
+		p = new FidPromise();
+		p.cancelOn(controller.signal);
+		p.resolve();
+		Assert.equal(null, p.signalListeners);
+		controller.abort();
+		Assert.equal(undefined, p.cancelled);
+	});
+});
+
+describe('FidPromise.prototype.delay()', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	it('waits before passing along the value', function () {
+		var p;
+		p = FidPromise.resolve('value').delay(100);
+		FidPromise.testing.tick(99);
+		Assert.equal(true, p.isPending());
+		FidPromise.testing.tick(1);
+		Assert.equal('value', p.value());
+	});
+	it('passes along rejections right away', function () {
+		var p;
+		p = FidPromise.reject('bad').delay(100);
+		p.error(noop);
+		FidPromise.testing.flush();
+		Assert.equal('bad', p.reason());
+	});
+	it('clears the timer when cancelled', function () {
+		var cleared, clearTimeoutOriginal, p;
+		clearTimeoutOriginal = FidPromise.clock.clearTimeout;
+		FidPromise.clock.clearTimeout = function (handle) {
+			cleared = handle;
+			clearTimeoutOriginal(handle);
+		};
+		p = FidPromise.resolve('value').delay(100);
+		FidPromise.testing.flush();
+		p.cancel();
+		Assert.notEqual(undefined, cleared);
+		FidPromise.testing.tick(100);
+		Assert.equal(true, p.isCancelled());
+	});
+});
+
+describe('FidPromise.prototype.error()', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	function handled(reason, filter) {
+		var p;
+		p = FidPromise.reject(reason).error(filter, function () {
+			return 'handled';
+		});
+		p.error(noop);
+		FidPromise.testing.flush();
+		if (p.isFulfilled()) {
+			return true;
+		}
+		Assert.strictEqual(reason, p.reason());
+		return false;
+	}
+	it('adds callbacks correctly', function () {
+		var faker, result;
+
+		faker = new FakePromise();
+		result = FidPromise.prototype.error.call(faker, noop);
+        Assert.equal(faker.thenCallArray[0].onSuccess, null);
+        Assert.equal(faker.thenCallArray[0].onError, noop);
+        Assert.notEqual(faker.thenCallArray[0].nextPromise, undefined);
+		Assert.notStrictEqual(faker, result);
+	});
+	it('matches error classes', function () {
+		Assert.equal(true, handled(new TypeError('bad'), TypeError));
+		Assert.equal(true, handled(new TypeError('bad'), Error));
+		Assert.equal(true, handled(new FidPromise.TimeoutError('slow'), FidPromise.TimeoutError));
+		Assert.equal(false, handled(new Error('bad'), TypeError));
+		Assert.equal(false, handled('bad', Error));
+	});
+	it('matches classes that do not inherit from Error', function () {
+		var NotFound;
+		NotFound = function (message) {
+			this.message = message;
+		};
+		NotFound.prototype.toString = function () {
+			return 'NotFound: ' + this.message;
+		};
+		Assert.equal(true, handled(new NotFound('gone'), NotFound));
+		Assert.equal(false, handled(new Error('bad'), NotFound));
+	});
+	it('matches instances of bare constructors', function () {
+		function NotFound(msg) {
+			this.msg = msg;
+		}
+		Assert.equal(true, handled(new NotFound('gone'), NotFound));
+	});
+	it('matches ES classes', function () {
+		var Plain;
+		Plain = class {};
+		Assert.equal(true, handled(new Plain(), Plain));
+		Assert.equal(false, handled(new Error('bad'), Plain));
+	});
+	it('matches any error class in an array', function () {
+		var filter;
+		filter = [
+			TypeError,
+			RangeError
+		];
+		Assert.equal(true, handled(new RangeError('bad'), filter));
+		Assert.equal(false, handled(new SyntaxError('bad'), filter));
+	});
+	it('matches with predicates', function () {
+		function isRetryable(err) {
+			return err.retryable;
+		}
+		Assert.equal(true, handled({
+			retryable: true
+		}, isRetryable));
+		Assert.equal(false, handled({
+			retryable: false
+		}, isRetryable));
+	});
+	it('matches object properties', function () {
+		var err;
+		err = new Error('missing');
+		err.code = 'ENOENT';
+		Assert.equal(true, handled(err, {
+			code: 'ENOENT'
+		}));
+		Assert.equal(false, handled(err, {
+			code: 'EACCES'
+		}));
+		Assert.equal(false, handled(null, {
+			code: 'ENOENT'
+		}));
+	});
+	it('mixes filters in an array', function () {
+		var filter;
+		filter = [
+			TypeError,
+			{
+				code: 'ENOENT'
+			}
+		];
+		Assert.equal(true, handled({
+			code: 'ENOENT'
+		}, filter));
+		Assert.equal(false, handled({
+			code: 'EACCES'
+		}, filter));
+	});
+	it('passes values along', function () {
+		var p;
+		p = FidPromise.resolve('value').error(TypeError, noop);
+		FidPromise.testing.flush();
+		Assert.equal('value', p.value());
+	});
+	it('rejects when the predicate throws', function () {
+		var p;
+		p = FidPromise.reject('bad').error(function () {
+			throw new Error('broken filter');
+		}, noop);
+		p.error(noop);
+		FidPromise.testing.flush();
+		Assert.equal('broken filter', p.reason().message);
+	});
+	it('does not call the handler for other reasons', function () {
+		var called;
+		called = false;
+		FidPromise.reject(new Error('bad')).error(TypeError, function () {
+			called = true;
+		}).error(noop);
+		FidPromise.testing.flush();
+		Assert.equal(false, called);
+	});
+	it('throws for filters that are not supported', function () {
+		Assert.throws(function () {
+			new FidPromise().error('bad', noop);
+		}, TypeError);
+	});
+});
+
+describe('FidPromise.prototype.finally()', function () {
+	it('keeps the value, unlike always()', function (done) {
+		var p, results;
+		p = new FidPromise();
+		p.resolve('value');
+		results = [];
+		FidPromise.all([
+			p['finally'](function (arg) {
+				results.push(arg);
+				return 'finally';
+			}),
+			p.always(function (arg) {
+				results.push(arg);
+				return 'always';
+			})
+		]).then(function (values) {
+			Assert.deepEqual([
+				'value',
+				'always'
+			], values);
+			Assert.deepEqual([
+				undefined,
+				'value'
+			], results);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.prototype.isPending()', function () {
+	it('reports each state', function () {
+		var cancelled, fulfilled, pending, rejected;
+		pending = new FidPromise();
+		fulfilled = FidPromise.resolve('yes');
+		rejected = FidPromise.reject('no');
+		rejected.error(noop);
+		cancelled = new FidPromise();
+		cancelled.cancel();
+		Assert.deepEqual([
+			true,
+			false,
+			false,
+			false
+		], [
+			pending,
+			fulfilled,
+			rejected,
+			cancelled
+		].map(function (p) {
+			return p.isPending();
+		}));
+		Assert.equal(true, fulfilled.isFulfilled());
+		Assert.equal(false, rejected.isFulfilled());
+		Assert.equal(true, rejected.isRejected());
+		Assert.equal(false, pending.isRejected());
+		Assert.equal(true, cancelled.isCancelled());
+		Assert.equal(false, pending.isCancelled());
+	});
+});
+
+describe('FidPromise.prototype.nodeify()', function () {
+	it('passes the value', function (done) {
+		var p;
+		p = FidPromise.resolve('value');
+		Assert.strictEqual(p, p.nodeify(function (err, value) {
+			try {
+				Assert.equal(null, err);
+				Assert.equal('value', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}));
+	});
+	it('passes the reason', function (done) {
+		FidPromise.reject('bad').nodeify(function (err) {
+			try {
+				Assert.equal('bad', err);
+				Assert.equal(1, arguments.length);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('wraps falsy reasons', function (done) {
+		FidPromise.reject(0).nodeify(function (err) {
+			try {
+				Assert.ok(err instanceof Error);
+				Assert.strictEqual(0, err.reason);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('does not swallow errors thrown by the callback', function (done) {
+		var mochaHandlers;
+		mochaHandlers = process.listeners('uncaughtException');
+		process.removeAllListeners('uncaughtException');
+		process.once('uncaughtException', function (err) {
+			mochaHandlers.forEach(function (handler) {
+				process.on('uncaughtException', handler);
+			});
+			try {
+				Assert.equal('thrown from callback', err.message);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		FidPromise.resolve().nodeify(function () {
+			throw new Error('thrown from callback');
+		});
+	});
+});
+
+describe('FidPromise.prototype.notify()', function () {
+	it('passes values through chains', function (done) {
+		var p, seen;
+		seen = [];
+		p = new FidPromise();
+		p.then(null, null, function (value) {
+			seen.push('first ' + value);
+		}).then(noop).progress(function (value) {
+			seen.push('last ' + value);
+		});
+		p.notify(1);
+		p.notify(2);
+		setTimeout(function () {
+			try {
+				Assert.deepEqual([
+					'first 1',
+					'first 2',
+					'last 1',
+					'last 2'
+				], seen);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+	it('is ignored after settlement', function (done) {
+		var messages, p, seen;
+		messages = [];
+		seen = [];
+		p = new FidPromise();
+		p.progress(function (value) {
+			seen.push(value);
+		});
+		p.resolve();
+		FidPromise.debug = function (message) {
+			messages.push(message);
+		};
+		p.notify('late');
+		FidPromise.debug = false;
+		setTimeout(function () {
+			try {
+				Assert.deepEqual([], seen);
+				Assert.equal(1, messages.length);
+				Assert.ok(/Notify called on a completed promise - ignoring$/.test(messages[0]));
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+	it('is available to executors and adopted promises', function (done) {
+		var inner, notifyOuter, outer, resolveOuter, seen;
+		seen = [];
+		outer = new FidPromise(function (resolve, reject, notify) {
+			resolveOuter = resolve;
+			notifyOuter = notify;
+		});
+		outer.progress(function (value) {
+			seen.push(value);
+		});
+		notifyOuter('executor');
+		inner = new FidPromise();
+		resolveOuter(inner);
+		inner.notify('adopted');
+		setTimeout(function () {
+			try {
+				Assert.deepEqual([
+					'executor',
+					'adopted'
+				], seen);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+});
+
+describe('FidPromise.prototype.onCancel()', function () {
+	it('calls handlers with the reason', function () {
+		var p, reasons;
+		reasons = [];
+		p = new FidPromise();
+		Assert.equal(p, p.onCancel(function (reason) {
+			reasons.push(reason);
+		}));
+		p.cancel('first');
+		p.cancel('second');
+		p.onCancel(function (reason) {
+			reasons.push('late ' + reason);
+		});
+		Assert.deepEqual([
+			'first',
+			'late first'
+		], reasons);
+	});
+	it('calls handlers on promises cancelled by propagation', function () {
+		var child, p, reason;
+		p = new FidPromise();
+		child = p.then(noop);
+		child.onCancel(function (r) {
+			reason = r;
+		});
+		p.cancel('parent');
+		Assert.equal('parent', reason);
+	});
+});
+
+describe('FidPromise.prototype.progress()', function () {
+	it('only gets progress notifications', function (done) {
+		var p, result, seen;
+		seen = [];
+		p = new FidPromise();
+		result = p.progress(function (value) {
+			seen.push(value);
+		});
+		Assert.notStrictEqual(p, result);
+		p.notify('half');
+		p.resolve('value');
+		result.then(function (value) {
+			try {
+				Assert.equal('value', value);
+				Assert.deepEqual([
+					'half'
+				], seen);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.prototype.race()', function () {
+	it('returns itself', function () {
+		var p;
+		p = new FidPromise();
+		Assert.strictEqual(p, p.race([]));
+	});
+	it('releases the inputs that lost', function (done) {
+		var p, shared, unused;
+		shared = new FidPromise();
+		shared.then(noop);
+		unused = new FidPromise();
+		p = new FidPromise();
+		p.race([
+			unused,
+			FidPromise.reject('first'),
+			shared
+		]).then(null, function (reason) {
+			try {
+				Assert.equal('first', reason);
+				Assert.equal(true, unused.isCancelled());
+				Assert.equal(false, shared.isCancelled());
+				Assert.equal(true, shared.thenCallArray[1].nextPromise.isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('does not call the callbacks of the inputs that lost', function (done) {
+		var consumer, p, second;
+		second = new FidPromise();
+		p = new FidPromise();
+		p.race([
+			FidPromise.resolve('first'),
+			second
+		]);
+		consumer = second.thenCallArray[0].nextPromise;
+		second.resolve('second');
+		setTimeout(function () {
+			try {
+				Assert.equal('first', p.value());
+				Assert.equal(true, consumer.isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+});
+
+describe('FidPromise.prototype.reason()', function () {
+	it('returns the reason', function () {
+		var p;
+		p = FidPromise.reject('no');
+		p.error(noop);
+		Assert.equal('no', p.reason());
+	});
+	it('throws when not rejected', function () {
+		Assert.throws(function () {
+			new FidPromise().reason();
+		}, /pending, not rejected/);
+	});
+});
+
+describe('FidPromise.prototype.some()', function () {
+	it('returns itself', function () {
+		var p;
+		p = new FidPromise();
+		Assert.strictEqual(p, p.some([], 0));
+	});
+	it('resolves with the first values in the order they resolved', function (done) {
+		var inputs, p;
+		inputs = [
+			new FidPromise(),
+			new FidPromise(),
+			new FidPromise(),
+			new FidPromise()
+		];
+		p = new FidPromise();
+		p.some(inputs, 2).then(function (values) {
+			try {
+				Assert.deepEqual([
+					'c',
+					'a'
+				], values);
+				Assert.equal(true, inputs[3].isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		inputs[2].resolve('c');
+		inputs[1].reject('b');
+		inputs[0].resolve('a');
+	});
+	it('rejects once too many inputs are rejected', function (done) {
+		var inputs, p;
+		inputs = [
+			new FidPromise(),
+			new FidPromise(),
+			new FidPromise()
+		];
+		p = new FidPromise();
+		p.some(inputs, 2).then(null, function (err) {
+			try {
+				Assert.equal('AggregateError', err.name);
+				Assert.deepEqual([
+					'a',
+					'c'
+				], err.errors);
+				Assert.equal(true, inputs[1].isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		inputs[2].reject('c');
+		inputs[0].reject('a');
+	});
+	it('rejects when there are not enough inputs', function (done) {
+		new FidPromise().some([
+			'only one'
+		], 2).then(null, function (err) {
+			try {
+				Assert.equal('AggregateError', err.name);
+				Assert.deepEqual([], err.errors);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('resolves with nothing for a count of zero', function (done) {
+		new FidPromise().some([
+			new FidPromise()
+		], 0).then(function (values) {
+			try {
+				Assert.deepEqual([], values);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.prototype.success()', function () {
+	it('adds callbacks correctly', function () {
+		var faker, result;
+
+		faker = new FakePromise();
+		result = FidPromise.prototype.success.call(faker, noop);
+        Assert.equal(faker.thenCallArray[0].onSuccess, noop);
+        Assert.equal(faker.thenCallArray[0].onError, undefined);
+        Assert.notEqual(faker.thenCallArray[0].nextPromise, undefined);
+		Assert.notStrictEqual(faker, result);
+	});
+});
+
+describe('FidPromise.prototype.timeout()', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	it('rejects with a TimeoutError', function () {
+		var original, p;
+		original = new FidPromise();
+		p = original.timeout(50);
+		p.error(noop);
+		FidPromise.testing.tick(49);
+		Assert.equal(true, p.isPending());
+		FidPromise.testing.tick(1);
+		Assert.ok(p.reason() instanceof FidPromise.TimeoutError);
+		Assert.equal('Timed out after 50ms', p.reason().message);
+		Assert.equal(false, original.isCancelled());
+	});
+	it('leaves a promise that timed out usable', function () {
+		var cached, p;
+		cached = new FidPromise();
+		p = cached.timeout(50);
+		p.error(noop);
+		FidPromise.testing.tick(50);
+		Assert.equal(true, p.isRejected());
+		Assert.equal(false, cached.isCancelled());
+		p = cached.timeout(50);
+		cached.resolve('value');
+		FidPromise.testing.flush();
+		Assert.equal('value', p.value());
+	});
+	it('cancels the promise when cancelled', function () {
+		var original, p;
+		original = new FidPromise();
+		p = original.timeout(50);
+		p.cancel();
+		Assert.equal(true, original.isCancelled());
+		FidPromise.testing.tick(50);
+		Assert.equal(true, p.isCancelled());
+	});
+	it('rejects with the reason that was passed', function () {
+		var p;
+		p = new FidPromise().timeout(50, 'too slow');
+		p.error(noop);
+		FidPromise.testing.tick(50);
+		Assert.equal('too slow', p.reason());
+	});
+	it('rejects with the result of a factory', function () {
+		var p;
+		p = new FidPromise().timeout(50, function () {
+			return new Error('made later');
+		});
+		p.error(noop);
+		FidPromise.testing.tick(50);
+		Assert.equal('made later', p.reason().message);
+	});
+	it('passes along how the promise settled in time', function () {
+		var original, p;
+		original = new FidPromise();
+		p = original.timeout(50);
+		FidPromise.testing.tick(20);
+		original.resolve('value');
+		FidPromise.testing.tick(100);
+		Assert.equal('value', p.value());
+		Assert.equal(false, original.isCancelled());
+	});
+	it('clears its timer once settled', function () {
+		var cleared, clearTimeoutOriginal;
+		clearTimeoutOriginal = FidPromise.clock.clearTimeout;
+		cleared = 0;
+		FidPromise.clock.clearTimeout = function (handle) {
+			cleared += 1;
+			clearTimeoutOriginal(handle);
+		};
+		FidPromise.reject('bad').timeout(50).error(noop);
+		FidPromise.testing.flush();
+		Assert.equal(1, cleared);
+	});
+});
+
+describe('FidPromise.prototype.toEmitter()', function () {
+	it('emits resolve', function (done) {
+		var emitter;
+		emitter = FidPromise.resolve('value').toEmitter();
+		Assert.ok(emitter instanceof EventEmitter);
+		emitter.on('resolve', function (value) {
+			try {
+				Assert.equal('value', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('emits reject without an unhandled rejection', function (done) {
+		var emitter, p;
+		p = FidPromise.reject('bad');
+		emitter = p.toEmitter();
+		emitter.on('reject', function (reason) {
+			try {
+				Assert.equal('bad', reason);
+				Assert.ok(!p.unhandledReported);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('emits progress', function (done) {
+		var emitter, p;
+		p = new FidPromise();
+		emitter = p.toEmitter();
+		emitter.on('progress', function (value) {
+			try {
+				Assert.equal('half', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		p.notify('half');
+	});
+	it('uses the emitter that was passed', function (done) {
+		var emitter;
+		emitter = new EventEmitter();
+		Assert.strictEqual(emitter, FidPromise.resolve('value').toEmitter(emitter));
+		emitter.on('resolve', function () {
+			done();
+		});
+	});
+	it('rethrows errors from listeners asynchronously', function (done) {
+		var listeners;
+		listeners = process.listeners('uncaughtException');
+		process.removeAllListeners('uncaughtException');
+		process.once('uncaughtException', function (err) {
+			listeners.forEach(function (listener) {
+				process.on('uncaughtException', listener);
+			});
+			try {
+				Assert.equal('listener broke', err.message);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+		FidPromise.resolve('value').toEmitter().on('resolve', function () {
+			throw new Error('listener broke');
+		});
+	});
+	it('does not require() node modules by name so bundlers leave them out', function () {
+		var source;
+		source = require('fs').readFileSync(require.resolve('../lib/fid-promise.js'), 'utf8');
+		Assert.equal(null, source.match(/require\s*\(\s*['"]/));
+	});
+});
+
+describe('FidPromise.prototype.value()', function () {
+	it('returns the value', function () {
+		Assert.equal('yes', FidPromise.resolve('yes').value());
+	});
+	it('throws when not fulfilled', function () {
+		var p;
+		p = FidPromise.reject('no');
+		p.error(noop);
+		Assert.throws(function () {
+			p.value();
+		}, /rejected, not fulfilled/);
+	});
+});
+
+describe('FidPromise.prototype.when()', function () {
+	function openPromise() {
+		var p;
+		p = new FidPromise();
+		return p;
+	}
+
+	function rejectedPromise() {
+		var p;
+		p = new FidPromise();
+		p.reject();
+		return p;
+	}
+
+	function resolvedPromise() {
+		var p;
+		p = new FidPromise();
+		p.resolve();
+		return p;
+	}
+
+	it('returns itself', function () {
+		var p;
+		p = openPromise();
+		Assert.equal(p, p.when([]));
+	});
+
+	it('does not immediately resolve with first fulfilled promise', function (done) {
+		var p;
+		p = openPromise();
+		p.when([
+			resolvedPromise(),
+			openPromise()
+		]);
+		Assert.equal(null, p.state);
+		setTimeout(function () {
+			// Still should not be resolved
+			try {
+				Assert.equal(null, p.state);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('immediately resolves with empty array', function () {
+		var p;
+		p = openPromise();
+		p.when([]);
+		// Synchronous resolution
+		Assert.equal(true, p.state);
+	});
+	it('resolves after all promises are resolved', function (done) {
+		var p, promises;
+		promises = [
+			openPromise(),
+			openPromise(),
+			openPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.when(promises);
+		Assert.equal(null, p.state);
+		promises[0].resolve();
+		promises[3].resolve();
+		promises[2].resolve();
+		Assert.equal(null, p.state);
+		setTimeout(function () {
+			// Still should not be resolved
+			try {
+				Assert.equal(null, p.state);
+			} catch (err) {
+				done(err);
+			}
+
+			// The resolution happens asynchronously
+			promises[1].resolve();
+			setTimeout(function () {
+				try {
+					Assert.equal(true, p.state);
+					done();
+				} catch (err) {
+					done(err);
+				}
+			});
+		});
+	});
+	it('immediately rejects with any rejected promise', function (done) {
+		var p, promises;
+		promises = [
+			openPromise(),
+			rejectedPromise(),
+			openPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.when(promises);
+		Assert.equal(null, p.state);
+		// The resolution happens asynchronously
+		setTimeout(function () {
+			try {
+				Assert.equal(false, p.state);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('cancels outstanding inputs when cancelled', function () {
+		var p, promises, shared;
+		promises = [
+			openPromise(),
+			openPromise()
+		];
+		shared = promises[1];
+		shared.then(noop);
+		p = openPromise();
+		p.when(promises);
+		p.cancel();
+		Assert.equal(true, promises[0].cancelled);
+		// Still has another consumer
+		Assert.equal(undefined, shared.cancelled);
+	});
+	it('rejects after any rejections', function (done) {
+		var p, promises;
+		promises = [
+			openPromise(),
+			openPromise(),
+			openPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.when(promises);
+		Assert.equal(null, p.state);
+		promises[2].reject();
+		Assert.equal(null, p.state);
+		// The resolution happens asynchronously
+		setTimeout(function () {
+			try {
+				Assert.equal(false, p.state);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('reports progress as inputs settle', function (done) {
+		var p, promises, seen;
+		seen = [];
+		promises = [
+			openPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.when(promises).progress(function (value) {
+			seen.push(value);
+		});
+		promises[1].resolve();
+		promises[0].resolve();
+		setTimeout(function () {
+			try {
+				Assert.deepEqual([
+					{
+						done: 1,
+						total: 2
+					},
+					{
+						done: 2,
+						total: 2
+					}
+				], seen);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		}, 10);
+	});
+	it('lines results up with the input', function (done) {
+		var p, promises;
+		promises = [
+			openPromise(),
+			'plain value',
+			openPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.when(promises).then(function (results) {
+			try {
+				Assert.deepEqual([
+					'first',
+					'plain value',
+					undefined,
+					'last'
+				], results);
+				Assert.equal(4, results.length);
+				Assert.ok(2 in results);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+		promises[3].resolve('last');
+		promises[2].resolve();
+		promises[0].resolve('first');
+	});
+	it('resolves with an empty array for no inputs', function (done) {
+		openPromise().when([]).then(function (results) {
+			try {
+				Assert.deepEqual([], results);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('resolves a Map to a Map', function (done) {
+		var input;
+		input = new Map();
+		input.set('later', openPromise());
+		input.set('now', 'value');
+		openPromise().when(input).then(function (result) {
+			try {
+				Assert.ok(result instanceof Map);
+				Assert.equal('resolved', result.get('later'));
+				Assert.equal('value', result.get('now'));
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+		input.get('later').resolve('resolved');
+	});
+	it('keeps the old behavior with the legacy option', function (done) {
+		var p, promises;
+		promises = [
+			openPromise(),
+			'skipped',
+			openPromise(),
+			openPromise()
+		];
+		p = openPromise();
+		p.when(promises, {
+			legacy: true
+		}).then(function (results) {
+			try {
+				Assert.deepEqual([
+					'last',
+					'first'
+				], results);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+		promises[3].resolve('last');
+		promises[2].resolve();
+		promises[0].resolve('first');
+	});
+	it('resolves with undefined for no inputs with the legacy option', function (done) {
+		openPromise().when([], {
+			legacy: true
+		}).then(function (results) {
+			try {
+				Assert.strictEqual(undefined, results);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('rejects with the pending inputs after the timeout', function () {
+		var p, promises;
+		FidPromise.testing.enable();
+		try {
+			promises = [
+				openPromise(),
+				openPromise(),
+				openPromise()
+			];
+			p = openPromise();
+			p.when(promises, {
+				timeout: 100
+			});
+			p.error(noop);
+			promises[1].resolve();
+			FidPromise.testing.tick(100);
+			Assert.ok(p.reason() instanceof FidPromise.TimeoutError);
+			Assert.deepEqual([
+				0,
+				2
+			], p.reason().pending);
+		} finally {
+			FidPromise.testing.disable();
+		}
+	});
+	it('does not time out when the inputs are done in time', function () {
+		var p, promises;
+		FidPromise.testing.enable();
+		try {
+			promises = [
+				openPromise()
+			];
+			p = openPromise();
+			p.when(promises, {
+				timeout: 100
+			});
+			promises[0].resolve('done');
+			FidPromise.testing.tick(100);
+			Assert.deepEqual([
+				'done'
+			], p.value());
+		} finally {
+			FidPromise.testing.disable();
+		}
+	});
+});
+
+describe('FidPromise.addTraceListener()', function () {
+	var events;
+
+	function listener(event) {
+		events.push(event);
+	}
+
+	beforeEach(function () {
+		events = [];
+		FidPromise.addTraceListener(listener);
+	});
+	afterEach(function () {
+		FidPromise.removeTraceListener(listener);
+	});
+	it('sends structured events', function (done) {
+		var child, p;
+		p = new FidPromise();
+		p.label = 'root';
+		child = p.then(function () {
+			return 'done';
+		});
+		p.resolve();
+		child.then(function () {
+			var mine, types;
+			mine = events.filter(function (event) {
+				return event.id === p.id;
+			});
+			types = mine.map(function (event) {
+				return event.type;
+			});
+			Assert.deepEqual([
+				'created',
+				'callbacksAdded',
+				'message',
+				'settled',
+				'callbackStarted',
+				'callbackFinished'
+			], types);
+			Assert.equal(child.id, mine[1].childId);
+			Assert.equal('root', mine[1].label);
+			Assert.equal('number', typeof mine[1].time);
+			Assert.ok(mine[3].time >= mine[1].time);
+			Assert.equal(true, mine[3].state);
+		}).then(done, done);
+	});
+	it('keeps listener errors away from settling promises', function () {
+		var child, p, thrown;
+
+		function broken(event) {
+			if (event.type === 'settled' && !thrown) {
+				thrown = true;
+				throw new Error('listener broke');
+			}
+		}
+
+		FidPromise.testing.enable();
+		FidPromise.addTraceListener(broken);
+
+		try {
+			p = new FidPromise();
+			child = p.then(function (value) {
+				return value + '!';
+			});
+			p.resolve('value');
+			Assert.equal('value', p.value());
+			Assert.throws(function () {
+				FidPromise.testing.flush();
+			}, /listener broke/);
+			FidPromise.testing.flush();
+			Assert.equal('value!', child.value());
+		} finally {
+			FidPromise.removeTraceListener(broken);
+			FidPromise.testing.disable();
+		}
+	});
+	it('stops sending events once removed', function () {
+		FidPromise.removeTraceListener(listener);
+		FidPromise.resolve('value');
+		Assert.equal(0, events.length);
+	});
+});
+
+describe('FidPromise.after()', function () {
+	var oldAfter, afterCount;
+
+	beforeEach(function () {
+		oldAfter = FidPromise.prototype.after;
+		afterCount = 0;
+		FidPromise.prototype.after = function (arg) {
+			afterCount += 1;
+			Assert.equal('pigs fly', arg);
+		};
+	});
+	afterEach(function () {
+		FidPromise.prototype.after = oldAfter;
+	});
+	it('simply calls Promise.prototype.after()', function () {
+		FidPromise.after('pigs fly');
+		Assert.equal(1, afterCount);
+	});
+});
+
+describe('FidPromise.all()', function () {
+	it('cancels outstanding inputs when cancelled', function () {
+		var input, p;
+		input = new FidPromise();
+		p = FidPromise.all([
+			input,
+			'value'
+		]);
+		p.cancel();
+		Assert.equal(true, input.cancelled);
+	});
+});
+
+describe('FidPromise.any()', function () {
+	it('calls FidPromise.prototype.any()', function (done) {
+		FidPromise.any([
+			FidPromise.reject('no'),
+			'yes'
+		]).then(function (value) {
+			try {
+				Assert.equal('yes', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.context', function () {
+	it('is only active while running', function () {
+		var result;
+		Assert.strictEqual(undefined, FidPromise.context.current());
+		result = FidPromise.context.run('outer', function () {
+			Assert.equal('outer', FidPromise.context.current());
+			FidPromise.context.run('inner', function () {
+				Assert.equal('inner', FidPromise.context.current());
+			});
+			Assert.equal('outer', FidPromise.context.current());
+			return 'result';
+		});
+		Assert.equal('result', result);
+		Assert.strictEqual(undefined, FidPromise.context.current());
+	});
+	it('restores the context when callbacks run', function (done) {
+		var p, seen;
+		seen = [];
+		p = new FidPromise();
+		FidPromise.context.run('first', function () {
+			p.then(function () {
+				seen.push(FidPromise.context.current());
+			});
+		});
+		FidPromise.context.run('second', function () {
+			p.then(function () {
+				seen.push(FidPromise.context.current());
+			}).then(function () {
+				seen.push(FidPromise.context.current());
+			});
+		});
+		p.then(function () {
+			seen.push(FidPromise.context.current());
+		});
+		FidPromise.context.run('resolver', function () {
+			p.resolve();
+		});
+		setTimeout(function () {
+			try {
+				Assert.deepEqual([
+					'first',
+					'second',
+					undefined,
+					'second'
+				], seen);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+	it('keeps the context when adopting other thenables', function (done) {
+		var seen, thenable;
+		seen = [];
+		thenable = {
+			then: function (onSuccess) {
+				seen.push(FidPromise.context.current());
+				setTimeout(function () {
+					FidPromise.context.run('elsewhere', function () {
+						onSuccess('value');
+					});
+				});
+			}
+		};
+		FidPromise.context.run('request', function () {
+			return FidPromise.resolve().then(function () {
+				return thenable;
+			}).then(function (value) {
+				seen.push(FidPromise.context.current());
+				return value;
+			});
+		}).then(function (value) {
+			try {
+				Assert.equal('value', value);
+				Assert.deepEqual([
+					'request',
+					'request'
+				], seen);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.coroutine()', function () {
+	it('passes along arguments and this', function (done) {
+		var fn, target;
+		target = {
+			name: 'target'
+		};
+		fn = FidPromise.coroutine(function* (a, b) {
+			var sum;
+			sum = yield FidPromise.resolve(a + b);
+			return this.name + ' ' + sum;
+		});
+		fn.call(target, 1, 2).then(function (value) {
+			try {
+				Assert.equal('target 3', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('throws when not given a function', function () {
+		Assert.throws(function () {
+			FidPromise.coroutine('nope');
+		}, TypeError);
+	});
+});
+
+describe('FidPromise.defer()', function () {
+	it('keeps the settlement functions apart from the promise', function (done) {
+		var deferred, progress;
+		deferred = FidPromise.defer();
+		Assert.equal(false, deferred.promise instanceof FidPromise);
+		deferred.promise.then(function (value) {
+			try {
+				Assert.equal('value', value);
+				Assert.deepEqual([
+					'half'
+				], progress);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, null, function (value) {
+			progress = [
+				value
+			];
+		});
+		deferred.promise.resolve('ignored');
+		deferred.notify('half');
+		deferred.resolve('value');
+	});
+	it('passes options to asReadOnly()', function () {
+		var deferred;
+		deferred = FidPromise.defer({
+			strict: true
+		});
+		Assert.throws(function () {
+			deferred.promise.reject('no');
+		}, /read-only/);
+		deferred.reject('yes');
+		deferred.promise.error(noop);
+		Assert.equal('yes', deferred.promise.reason());
+	});
+});
+
+describe('FidPromise.delay()', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	it('resolves with the value after waiting', function () {
+		var p;
+		p = FidPromise.delay(30, FidPromise.resolve('value'));
+		FidPromise.testing.tick(29);
+		Assert.equal(true, p.isPending());
+		FidPromise.testing.tick(1);
+		Assert.equal('value', p.value());
+	});
+});
+
+describe('FidPromise.each()', function () {
+	it('runs one at a time and resolves with the items', function (done) {
+		var order, running;
+		order = [];
+		running = 0;
+		FidPromise.each([
+			'a',
+			FidPromise.resolve('b'),
+			'c'
+		], function (value, index) {
+			var p;
+			running += 1;
+			Assert.equal(1, running);
+			order.push(value + index);
+			p = new FidPromise();
+			setTimeout(function () {
+				running -= 1;
+				p.resolve('ignored');
+			});
+			return p;
+		}).then(function (values) {
+			Assert.deepEqual([
+				'a',
+				'b',
+				'c'
+			], values);
+			Assert.deepEqual([
+				'a0',
+				'b1',
+				'c2'
+			], order);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.filter()', function () {
+	it('keeps items in order', function (done) {
+		FidPromise.filter([
+			1,
+			2,
+			3,
+			4
+		], function (value) {
+			return FidPromise.resolve(value % 2 === 0);
+		}, {
+			concurrency: 2
+		}).then(function (values) {
+			Assert.deepEqual([
+				2,
+				4
+			], values);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.fromCallback()', function () {
+	it('resolves with the value', function (done) {
+		FidPromise.fromCallback(function (callback) {
+			callback(null, 'value', 'extra');
+		}).then(function (value) {
+			Assert.equal('value', value);
+		}).then(done, done);
+	});
+	it('resolves with every value', function (done) {
+		FidPromise.fromCallback(function (callback) {
+			callback(null, 'value', 'extra');
+		}, {
+			multiArgs: true
+		}).then(function (values) {
+			Assert.deepEqual([
+				'value',
+				'extra'
+			], values);
+		}).then(done, done);
+	});
+	it('rejects with the error', function (done) {
+		FidPromise.fromCallback(function (callback) {
+			callback(new Error('failed'));
+		}).then(null, function (err) {
+			Assert.equal('failed', err.message);
+		}).then(done, done);
+	});
+	it('rejects when the function throws', function (done) {
+		FidPromise.fromCallback(function () {
+			throw new Error('thrown');
+		}).then(null, function (err) {
+			Assert.equal('thrown', err.message);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.fromEvent()', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	it('resolves with the first event', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'ready');
+		emitter.emit('ready', 'first', 'extra');
+		emitter.emit('ready', 'second');
+		FidPromise.testing.flush();
+		Assert.equal('first', p.value());
+		Assert.equal(0, emitter.listenerCount('ready'));
+		Assert.equal(0, emitter.listenerCount('error'));
+	});
+	it('rejects on error events', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'ready');
+		p.error(noop);
+		emitter.emit('error', new Error('broken'));
+		FidPromise.testing.flush();
+		Assert.equal('broken', p.reason().message);
+		Assert.equal(0, emitter.listenerCount('ready'));
+	});
+	it('rejects on the events that were listed', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'ready', {
+			rejectOn: [
+				'close',
+				'end'
+			]
+		});
+		p.error(noop);
+		emitter.emit('end', 'ended');
+		FidPromise.testing.flush();
+		Assert.equal('ended', p.reason());
+		Assert.equal(0, emitter.listenerCount('close'));
+		Assert.equal(0, emitter.listenerCount('error'));
+	});
+	it('resolves with every argument', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'data', {
+			multiArgs: true
+		});
+		emitter.emit('data', 'a', 'b');
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'a',
+			'b'
+		], p.value());
+	});
+	it('skips events that do not pass the filter', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'data', {
+			filter: function (value) {
+				return value > 2;
+			}
+		});
+		emitter.emit('data', 1);
+		FidPromise.testing.flush();
+		Assert.equal(true, p.isPending());
+		emitter.emit('data', 3);
+		FidPromise.testing.flush();
+		Assert.equal(3, p.value());
+	});
+	it('rejects when the filter throws', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'data', {
+			filter: function () {
+				throw new Error('bad filter');
+			}
+		});
+		p.error(noop);
+		emitter.emit('data', 1);
+		FidPromise.testing.flush();
+		Assert.equal('bad filter', p.reason().message);
+		Assert.equal(0, emitter.listenerCount('data'));
+	});
+	it('times out', function () {
+		var emitter, p;
+		emitter = new EventEmitter();
+		p = FidPromise.fromEvent(emitter, 'ready', {
+			timeout: 50
+		});
+		p.error(noop);
+		FidPromise.testing.tick(50);
+		Assert.ok(p.reason() instanceof FidPromise.TimeoutError);
+		Assert.equal('Timed out after 50ms waiting for "ready"', p.reason().message);
+		Assert.equal(0, emitter.listenerCount('ready'));
+	});
+	it('removes its listeners when cancelled', function () {
+		var emitter;
+		emitter = new EventEmitter();
+		FidPromise.fromEvent(emitter, 'ready').cancel();
+		Assert.equal(0, emitter.listenerCount('ready'));
+		Assert.equal(0, emitter.listenerCount('error'));
+	});
+	it('works with DOM style event targets', function () {
+		var event, p, target;
+		target = new EventTarget();
+		p = FidPromise.fromEvent(target, 'ready');
+		event = new Event('ready');
+		target.dispatchEvent(event);
+		FidPromise.testing.flush();
+		Assert.strictEqual(event, p.value());
+	});
+	it('throws when events can not be listened to', function () {
+		Assert.throws(function () {
+			FidPromise.fromEvent({}, 'ready');
+		}, TypeError);
+	});
+});
+
+describe('FidPromise.hooks', function () {
+	var unregisters;
+
+	function record(events, name) {
+		var hooks;
+		hooks = {};
+		[
+			'init',
+			'settle',
+			'before',
+			'after',
+			'adopt'
+		].forEach(function (hook) {
+			hooks[hook] = function (promise, other) {
+				events.push({
+					hook: hook,
+					name: name,
+					other: other,
+					promise: promise
+				});
+			};
+		});
+		unregisters.push(FidPromise.hooks.register(hooks));
+		return hooks;
+	}
+
+	beforeEach(function () {
+		unregisters = [];
+	});
+	afterEach(function () {
+		unregisters.forEach(function (unregister) {
+			unregister();
+		});
+	});
+	it('calls hooks through the life of a chain', function (done) {
+		var child, events, p;
+		events = [];
+		record(events, 'metrics');
+		p = new FidPromise();
+		child = p.then(function () {
+			events.push({
+				hook: 'callback'
+			});
+		});
+		p.resolve('value');
+		child.then(function () {
+			try {
+				Assert.deepEqual([
+					'init',
+					'init',
+					'settle',
+					'init',
+					'before',
+					'callback',
+					'after',
+					'settle',
+					'before'
+				], events.map(function (event) {
+					return event.hook;
+				}));
+				Assert.strictEqual(p, events[0].promise);
+				Assert.strictEqual(child, events[1].promise);
+				Assert.strictEqual(p, events[4].promise);
+				Assert.strictEqual(child, events[4].other);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('calls adopt hooks', function (done) {
+		var events, p, thenable;
+		events = [];
+		thenable = {
+			then: function (onSuccess) {
+				onSuccess('value');
+			}
+		};
+		record(events, 'adopt');
+		p = new FidPromise();
+		p.resolve(thenable);
+		p.then(function () {
+			try {
+				Assert.deepEqual([
+					thenable
+				], events.filter(function (event) {
+					return event.hook === 'adopt';
+				}).map(function (event) {
+					return event.other;
+				}));
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('supports several hooks and removing them', function () {
+		var events, hooks;
+		events = [];
+		hooks = record(events, 'first');
+		record(events, 'second');
+		new FidPromise();
+		FidPromise.hooks.unregister(hooks);
+		new FidPromise();
+		Assert.deepEqual([
+			'first',
+			'second',
+			'second'
+		], events.map(function (event) {
+			return event.name;
+		}));
+	});
+	it('keeps hook errors away from promises and the process', function (done) {
+		var errors, mochaHandlers, p, uncaught;
+		errors = [];
+		uncaught = [];
+		mochaHandlers = process.listeners('uncaughtException');
+		process.removeAllListeners('uncaughtException');
+		process.on('uncaughtException', function (err) {
+			uncaught.push(err);
+		});
+		unregisters.push(FidPromise.hooks.register({
+			settle: function () {
+				throw new Error('thrown from hook');
+			}
+		}));
+		unregisters.push(FidPromise.hooks.register({
+			onError: function (err, name, promise) {
+				errors.push([
+					err.message,
+					name,
+					promise
+				]);
+				throw new Error('thrown from onError');
+			},
+			settle: function () {
+				throw new Error('thrown from second hook');
+			}
+		}));
+		p = new FidPromise();
+		p.resolve('value');
+		unregisters.pop()();
+		unregisters.pop()();
+		setTimeout(function () {
+			process.removeAllListeners('uncaughtException');
+			mochaHandlers.forEach(function (handler) {
+				process.on('uncaughtException', handler);
+			});
+			try {
+				Assert.equal('value', p.value());
+				Assert.deepEqual([
+					[
+						'thrown from second hook',
+						'settle',
+						p
+					]
+				], errors);
+				Assert.deepEqual([], uncaught);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+});
+
+describe('FidPromise.inspect()', function () {
+	function edgesOf(graph) {
+		return graph.edges.map(function (edge) {
+			return edge.from + ' ' + edge.type + ' ' + edge.to;
+		}).sort();
+	}
+
+	it('follows then() links both ways', function () {
+		var child, graph, grandchild, p;
+		p = new FidPromise();
+		child = p.then(noop);
+		grandchild = child.then(noop);
+		graph = FidPromise.inspect(child);
+		Assert.deepEqual([
+			child.id + ' then ' + grandchild.id,
+			p.id + ' then ' + child.id
+		].sort(), edgesOf(graph));
+		Assert.equal(3, graph.nodes.length);
+		Assert.equal('pending', graph.nodes[0].state);
+		Assert.equal(child.id, graph.nodes[0].id);
+	});
+	it('follows when() dependencies and adoptions', function () {
+		var graph, inner, input, p;
+		input = new FidPromise();
+		input.label = 'input';
+		p = FidPromise.when([
+			input
+		]);
+		inner = new FidPromise();
+		input.resolve(inner);
+		graph = FidPromise.inspect(p);
+		Assert.ok(edgesOf(graph).indexOf(input.id + ' dependency ' + p.id) >= 0);
+		Assert.ok(edgesOf(graph).indexOf(inner.id + ' adopts ' + input.id) >= 0);
+		Assert.equal('input', graph.nodes.filter(function (node) {
+			return node.id === input.id;
+		})[0].label);
+	});
+	it('lets go of links once settled', function () {
+		var graph, input, p;
+		input = new FidPromise();
+		p = FidPromise.when([
+			input
+		]);
+		p.resolve('early');
+		graph = FidPromise.inspect(p);
+		Assert.equal(1, graph.nodes.length);
+		Assert.equal('fulfilled', graph.nodes[0].state);
+	});
+	it('lets children waiting on a thenable go of their settled parent', function () {
+		var early, graph, inner, late, p;
+
+		function wait() {
+			return inner;
+		}
+
+		FidPromise.testing.enable();
+
+		try {
+			inner = new FidPromise();
+			p = new FidPromise();
+			early = p.then(wait);
+			p.resolve('large data');
+			late = p.then(wait);
+			FidPromise.testing.flush();
+			Assert.equal(true, early.isPending());
+			Assert.equal(true, late.isPending());
+			Assert.strictEqual(null, early.parentPromise);
+			Assert.strictEqual(null, late.parentPromise);
+			graph = FidPromise.inspect(early);
+			Assert.equal(-1, edgesOf(graph).indexOf(p.id + ' then ' + early.id));
+		} finally {
+			FidPromise.testing.disable();
+		}
+	});
+});
+
+describe('FidPromise.longStackDepth', function () {
+	var oldDebug, oldDepth, oldRate;
+
+	function nameOfThisTest() {
+		return new FidPromise();
+	}
+
+	beforeEach(function () {
+		oldDebug = FidPromise.debug;
+		oldDepth = FidPromise.longStackDepth;
+		oldRate = FidPromise.longStackSampleRate;
+		FidPromise.debug = noop;
+	});
+	afterEach(function () {
+		FidPromise.debug = oldDebug;
+		FidPromise.longStackDepth = oldDepth;
+		FidPromise.longStackSampleRate = oldRate;
+	});
+	it('adds the creation and registration stacks to the reason', function (done) {
+		var err, p;
+		err = new Error('deep');
+		p = nameOfThisTest();
+		p.then(function registeredCallback() {
+			throw err;
+		}).then(noop).error(function (reason) {
+			Assert.strictEqual(err, reason);
+			Assert.equal(2, reason.fidStack.split('From previous event:').length - 1);
+			Assert.ok(reason.fidStack.indexOf('nameOfThisTest') > 0);
+			Assert.equal(reason.fidStack, reason.stack);
+		}).then(done, done);
+		p.resolve();
+	});
+	it('limits the number of stacks', function (done) {
+		var p;
+		FidPromise.longStackDepth = 2;
+		p = new FidPromise();
+		p.then(noop).then(noop).then(noop).then(function () {
+			throw new Error('limited');
+		}).error(function (reason) {
+			Assert.equal(2, reason.fidStack.split('From previous event:').length - 1);
+		}).then(done, done);
+		p.resolve();
+	});
+	it('can be sampled', function () {
+		FidPromise.longStackSampleRate = 0;
+		Assert.equal(undefined, new FidPromise().longStack);
+		FidPromise.longStackSampleRate = 1;
+		Assert.equal(1, new FidPromise().longStack.length);
+	});
+	it('is not collected without debugging', function () {
+		var p;
+		FidPromise.debug = false;
+		p = new FidPromise();
+		p.reject(new Error('plain'));
+		Assert.equal(undefined, p.longStack);
+		Assert.equal(undefined, p.data.fidStack);
+		p.error(noop);
+	});
+});
+
+describe('FidPromise.map()', function () {
+	function later(value, ms, fail) {
+		return new FidPromise(function (resolve, reject) {
+			setTimeout(function () {
+				if (fail) {
+					reject(value);
+				} else {
+					resolve(value);
+				}
+			}, ms);
+		});
+	}
+
+	it('respects the concurrency limit and keeps the order', function (done) {
+		var maxRunning, running;
+		maxRunning = 0;
+		running = 0;
+		FidPromise.map([
+			30,
+			10,
+			20,
+			5,
+			1
+		], function (ms, index) {
+			running += 1;
+			maxRunning = Math.max(maxRunning, running);
+			return later(index, ms).always(function (value) {
+				running -= 1;
+				return value * 10;
+			});
+		}, {
+			concurrency: 2
+		}).then(function (results) {
+			Assert.deepEqual([
+				0,
+				10,
+				20,
+				30,
+				40
+			], results);
+			Assert.equal(2, maxRunning);
+		}).then(done, done);
+	});
+	it('starts work lazily', function (done) {
+		var blocker, started;
+		blocker = new FidPromise();
+		started = [];
+		FidPromise.map([
+			1,
+			2,
+			3
+		], function (value) {
+			started.push(value);
+			return blocker;
+		}, {
+			concurrency: 1
+		});
+		setTimeout(function () {
+			try {
+				Assert.deepEqual([
+					1
+				], started);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		}, 10);
+	});
+	it('accepts iterables and thenables', function (done) {
+		FidPromise.map(new Set([
+			later('a', 5),
+			'b'
+		]), function (value, index) {
+			return value + index;
+		}).then(function (results) {
+			Assert.deepEqual([
+				'a0',
+				'b1'
+			], results);
+		}).then(done, done);
+	});
+	it('fails fast and stops starting work', function (done) {
+		var started;
+		started = [];
+		FidPromise.map([
+			1,
+			2,
+			3
+		], function (value) {
+			started.push(value);
+			if (value === 1) {
+				throw new Error('first');
+			}
+			return value;
+		}, {
+			concurrency: 1
+		}).then(function () {
+			throw new Error('should not resolve');
+		}, function (err) {
+			Assert.equal('first', err.message);
+			Assert.deepEqual([
+				1
+			], started);
+		}).then(done, done);
+	});
+	it('collects every failure like after()', function (done) {
+		FidPromise.map([
+			later('slow', 10, true),
+			'fine',
+			later('fast', 1, true)
+		], function (value) {
+			return value;
+		}, {
+			failFast: false
+		}).then(function () {
+			throw new Error('should not resolve');
+		}, function (reasons) {
+			Assert.deepEqual([
+				'slow',
+				'fast'
+			], reasons);
+		}).then(done, done);
+	});
+	it('resolves an empty list', function (done) {
+		FidPromise.map([], noop).then(function (results) {
+			Assert.deepEqual([], results);
+		}).then(done, done);
+	});
+	it('stops starting work when cancelled', function (done) {
+		var p, started;
+		started = [];
+		p = FidPromise.map([
+			1,
+			2
+		], function (value) {
+			started.push(value);
+			return new FidPromise();
+		}, {
+			concurrency: 1
+		});
+		setTimeout(function () {
+			p.cancel();
+			setTimeout(function () {
+				try {
+					Assert.deepEqual([
+						1
+					], started);
+					done();
+				} catch (err) {
+					done(err);
+				}
+			});
+		});
+	});
+});
+
+describe('FidPromise.Mutex', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	it('lets one caller in at a time', function () {
+		var first, mutex, second;
+		mutex = new FidPromise.Mutex();
+		first = mutex.acquire();
+		second = mutex.acquire();
+		FidPromise.testing.flush();
+		Assert.equal('function', typeof first.value());
+		Assert.equal(true, second.isPending());
+		Assert.equal(true, mutex.isLocked());
+		Assert.equal(1, mutex.waiting());
+		first.value()();
+		FidPromise.testing.flush();
+		Assert.equal('function', typeof second.value());
+		second.value()();
+		Assert.equal(false, mutex.isLocked());
+	});
+	it('is a semaphore', function () {
+		var mutex;
+		mutex = FidPromise.Mutex();
+		Assert.ok(mutex instanceof FidPromise.Mutex);
+		Assert.ok(mutex instanceof FidPromise.Semaphore);
+		Assert.equal(1, mutex.available());
+	});
+});
+
+describe('FidPromise.onUnhandledRejection', function () {
+	var handled, oldHandled, oldUnhandled, unhandled;
+
+	// Only look at reports for the promise under test
+	function reportsFor(list, promise) {
+		return list.filter(function (rejection) {
+			return rejection.promise === promise;
+		});
+	}
+
+	beforeEach(function () {
+		oldHandled = FidPromise.onRejectionHandled;
+		oldUnhandled = FidPromise.onUnhandledRejection;
+		handled = [];
+		unhandled = [];
+		FidPromise.onRejectionHandled = function (rejection) {
+			handled.push(rejection);
+		};
+		FidPromise.onUnhandledRejection = function (rejection) {
+			unhandled.push(rejection);
+		};
+	});
+	afterEach(function () {
+		FidPromise.onRejectionHandled = oldHandled;
+		FidPromise.onUnhandledRejection = oldUnhandled;
+	});
+	it('reports rejections with nothing attached', function (done) {
+		var p;
+		p = new FidPromise();
+		p.reject('bad');
+		Assert.equal(0, reportsFor(unhandled, p).length);
+		setTimeout(function () {
+			var reports;
+			reports = reportsFor(unhandled, p);
+			try {
+				Assert.equal(1, reports.length);
+				Assert.equal('bad', reports[0].reason);
+				Assert.equal(p.id, reports[0].id);
+				Assert.equal('string', typeof reports[0].id);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('reports the end of a chain without an error handler', function (done) {
+		var child, p;
+		p = new FidPromise();
+		child = p.then(noop);
+		p.reject('bad');
+		setTimeout(function () {
+			try {
+				Assert.equal(0, reportsFor(unhandled, p).length);
+				Assert.equal(1, reportsFor(unhandled, child).length);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('does not report handled rejections', function (done) {
+		var p;
+		p = new FidPromise();
+		p.reject('bad');
+		p.error(noop);
+		setTimeout(function () {
+			setTimeout(function () {
+				try {
+					Assert.equal(0, reportsFor(unhandled, p).length);
+					done();
+				} catch (err) {
+					done(err);
+				}
+			});
+		});
+	});
+	it('does not report inputs that map() and reduce() wait on later', function (done) {
+		var pending, reason;
+		pending = new FidPromise();
+		reason = new Error('rejected early');
+		FidPromise.map([
+			pending,
+			FidPromise.reject(reason)
+		], noop, {
+			concurrency: 1
+		}).error(noop);
+		FidPromise.reduce([
+			pending,
+			FidPromise.reject(reason)
+		], noop).error(noop);
+		setTimeout(function () {
+			setTimeout(function () {
+				pending.resolve();
+				try {
+					Assert.equal(0, unhandled.filter(function (rejection) {
+						return rejection.reason === reason;
+					}).length);
+					done();
+				} catch (err) {
+					done(err);
+				}
+			});
+		});
+	});
+	it('includes the creation site when debugging', function (done) {
+		var oldDebug, p;
+		oldDebug = FidPromise.debug;
+		FidPromise.debug = noop;
+		p = new FidPromise();
+		FidPromise.debug = oldDebug;
+		p.reject('bad');
+		setTimeout(function () {
+			try {
+				Assert.equal('string', typeof reportsFor(unhandled, p)[0].creationSite);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+	it('notifies when a handler is attached late', function (done) {
+		var p;
+		p = new FidPromise();
+		p.reject('bad');
+		setTimeout(function () {
+			p.always(noop);
+			try {
+				Assert.equal(1, reportsFor(handled, p).length);
+				Assert.equal('bad', reportsFor(handled, p)[0].reason);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+});
+
+describe('FidPromise.promisify()', function () {
+	function add(a, b, callback) {
+		if (typeof a !== 'number') {
+			throw new TypeError('not a number');
+		}
+		setTimeout(function () {
+			callback(null, a + b, this);
+		});
+	}
+
+	it('passes arguments and resolves', function (done) {
+		FidPromise.promisify(add)(1, 2).then(function (sum) {
+			Assert.equal(3, sum);
+		}).then(done, done);
+	});
+	it('rejects when the function throws', function (done) {
+		FidPromise.promisify(add)('x', 2).then(null, function (err) {
+			Assert.ok(err instanceof TypeError);
+		}).then(done, done);
+	});
+	it('uses the context and multiArgs', function (done) {
+		var context, fn;
+		context = {
+			name: 'context'
+		};
+		fn = FidPromise.promisify(function (callback) {
+			callback(null, this.name, 'second');
+		}, {
+			context: context,
+			multiArgs: true
+		});
+		fn().then(function (values) {
+			Assert.deepEqual([
+				'context',
+				'second'
+			], values);
+		}).then(done, done);
+	});
+	it('uses the caller as the context by default', function (done) {
+		var object;
+		object = {
+			name: 'object',
+			method: FidPromise.promisify(function (callback) {
+				callback(null, this.name);
+			})
+		};
+		object.method().then(function (value) {
+			Assert.equal('object', value);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.promisifyAll()', function () {
+	function Thing() {
+		this.name = 'thing';
+	}
+
+	Thing.prototype.getName = function (callback) {
+		callback(null, this.name);
+	};
+	Thing.prototype.fail = function (callback) {
+		callback(new Error('failed'));
+	};
+	Thing.prototype.failAsync = noop;
+	Thing.prototype.value = 5;
+
+	it('adds promise versions of methods', function (done) {
+		var thing;
+		thing = new Thing();
+		Assert.strictEqual(thing, FidPromise.promisifyAll(thing));
+		Assert.equal(noop, thing.failAsync);
+		Assert.equal(undefined, thing.valueAsync);
+		thing.getNameAsync().then(function (name) {
+			Assert.equal('thing', name);
+		}).then(done, done);
+	});
+	it('uses a suffix', function () {
+		var thing;
+		thing = FidPromise.promisifyAll(new Thing(), {
+			suffix: 'P'
+		});
+		Assert.equal('function', typeof thing.getNameP);
+		Assert.equal('function', typeof thing.failP);
+	});
+});
+
+describe('FidPromise.props()', function () {
+	it('resolves to an object with the same keys', function (done) {
+		FidPromise.props({
+			later: FidPromise.resolve('resolved'),
+			now: 'value',
+			nothing: undefined
+		}).then(function (result) {
+			try {
+				Assert.deepEqual({
+					later: 'resolved',
+					now: 'value',
+					nothing: undefined
+				}, result);
+				Assert.ok('nothing' in result);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('rejects when any property is rejected', function (done) {
+		FidPromise.props({
+			good: FidPromise.resolve(),
+			bad: FidPromise.reject('bad')
+		}).then(null, function (reason) {
+			try {
+				Assert.equal('bad', reason);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('resolves a Map to a Map', function (done) {
+		var input;
+		input = new Map();
+		input.set(1, FidPromise.resolve('one'));
+		FidPromise.props(input).then(function (result) {
+			try {
+				Assert.ok(result instanceof Map);
+				Assert.equal('one', result.get(1));
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.Queue', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	function task(log, name, result) {
+		return function () {
+			log.push(name);
+			return result;
+		};
+	}
+	it('limits how many tasks run at once', function () {
+		var first, log, queue;
+		log = [];
+		first = new FidPromise();
+		queue = new FidPromise.Queue({
+			concurrency: 2
+		});
+		queue.push(task(log, 'a', first));
+		queue.push(task(log, 'b', new FidPromise()));
+		queue.push(task(log, 'c', 'value'));
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'a',
+			'b'
+		], log);
+		Assert.deepEqual({
+			completed: 0,
+			failed: 0,
+			running: 2,
+			waiting: 1
+		}, queue.stats());
+		first.resolve();
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'a',
+			'b',
+			'c'
+		], log);
+		Assert.equal(2, queue.stats().completed);
+	});
+	it('settles with the result of the task', function () {
+		var fulfilled, queue, rejected;
+		queue = FidPromise.Queue();
+		fulfilled = queue.push(function () {
+			return FidPromise.resolve('value');
+		});
+		rejected = queue.push(function () {
+			throw new Error('broken');
+		});
+		rejected.error(noop);
+		FidPromise.testing.flush();
+		Assert.equal('value', fulfilled.value());
+		Assert.equal('broken', rejected.reason().message);
+	});
+	it('keeps going after failed tasks', function () {
+		var last, queue;
+		queue = new FidPromise.Queue();
+		queue.push(function () {
+			return FidPromise.reject('bad');
+		}).error(noop);
+		last = queue.push(function () {
+			return 'value';
+		});
+		FidPromise.testing.flush();
+		Assert.equal('value', last.value());
+		Assert.equal(1, queue.stats().failed);
+		Assert.equal(1, queue.stats().completed);
+	});
+	it('starts tasks with a higher priority first', function () {
+		var blocker, log, queue;
+		log = [];
+		blocker = new FidPromise();
+		queue = new FidPromise.Queue();
+		queue.push(task(log, 'blocker', blocker));
+		queue.push(task(log, 'low', null), {
+			priority: -1
+		});
+		queue.push(task(log, 'normal 1', null));
+		queue.push(task(log, 'high', null), {
+			priority: 5
+		});
+		queue.push(task(log, 'normal 2', null));
+		blocker.resolve();
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'blocker',
+			'high',
+			'normal 1',
+			'normal 2',
+			'low'
+		], log);
+	});
+	it('pauses and resumes', function () {
+		var log, queue;
+		log = [];
+		queue = new FidPromise.Queue();
+		queue.pause();
+		Assert.equal(true, queue.isPaused());
+		queue.push(task(log, 'a', null));
+		FidPromise.testing.flush();
+		Assert.deepEqual([], log);
+		queue.resume();
+		Assert.equal(false, queue.isPaused());
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'a'
+		], log);
+	});
+	it('clears waiting tasks', function () {
+		var idle, log, queue, waiting;
+		log = [];
+		queue = new FidPromise.Queue();
+		queue.pause();
+		queue.push(task(log, 'a', null));
+		waiting = queue.push(task(log, 'b', null));
+		idle = queue.onIdle();
+		Assert.equal(2, queue.clear());
+		Assert.equal(true, waiting.isCancelled());
+		queue.resume();
+		FidPromise.testing.flush();
+		Assert.deepEqual([], log);
+		Assert.equal(true, idle.isFulfilled());
+	});
+	it('resolves onIdle() once everything is done', function () {
+		var first, idle, queue;
+		first = new FidPromise();
+		queue = new FidPromise.Queue();
+		Assert.equal(true, queue.onIdle().isFulfilled());
+		queue.push(function () {
+			return first;
+		});
+		idle = queue.onIdle();
+		FidPromise.testing.flush();
+		Assert.equal(true, idle.isPending());
+		first.resolve();
+		FidPromise.testing.flush();
+		Assert.equal(true, idle.isFulfilled());
+	});
+	it('calls drain listeners every time it finishes', function () {
+		var drained, queue, stop;
+		drained = 0;
+		queue = new FidPromise.Queue();
+		stop = queue.onDrain(function (target) {
+			Assert.strictEqual(queue, target);
+			drained += 1;
+		});
+		queue.push(noop);
+		queue.push(noop);
+		FidPromise.testing.flush();
+		Assert.equal(1, drained);
+		queue.push(noop);
+		FidPromise.testing.flush();
+		Assert.equal(2, drained);
+		stop();
+		queue.push(noop);
+		FidPromise.testing.flush();
+		Assert.equal(2, drained);
+	});
+	it('times out tasks', function () {
+		var fast, queue, slow, slowResult;
+		slowResult = new FidPromise();
+		queue = new FidPromise.Queue({
+			timeout: 50
+		});
+		slow = queue.push(function () {
+			return slowResult;
+		});
+		fast = queue.push(function () {
+			return 'value';
+		}, {
+			timeout: 100
+		});
+		slow.error(noop);
+		FidPromise.testing.tick(50);
+		Assert.ok(slow.reason() instanceof FidPromise.TimeoutError);
+		Assert.equal(true, slowResult.isCancelled());
+		Assert.equal('value', fast.value());
+	});
+	it('cancels running tasks', function () {
+		var queue, result, running;
+		result = new FidPromise();
+		queue = new FidPromise.Queue();
+		running = queue.push(function () {
+			return result;
+		});
+		FidPromise.testing.flush();
+		running.cancel();
+		Assert.equal(true, result.isCancelled());
+		Assert.equal(0, queue.stats().running);
+	});
+	it('needs a concurrency of at least 1', function () {
+		Assert.throws(function () {
+			FidPromise.Queue({
+				concurrency: 0
+			});
+		}, TypeError);
+	});
+});
+
+describe('FidPromise.race()', function () {
+	it('calls FidPromise.prototype.race()', function (done) {
+		var pending;
+		pending = new FidPromise();
+		FidPromise.race([
+			pending,
+			'plain'
+		]).then(function (value) {
+			try {
+				Assert.equal('plain', value);
+				Assert.equal(true, pending.isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.reduce()', function () {
+	it('combines items in order', function (done) {
+		FidPromise.reduce([
+			'b',
+			FidPromise.resolve('c')
+		], function (accumulator, value, index) {
+			return FidPromise.resolve(accumulator + value + index);
+		}, 'a').then(function (result) {
+			Assert.equal('ab0c1', result);
+		}).then(done, done);
+	});
+	it('starts with the first item without an initial value', function (done) {
+		FidPromise.reduce([
+			1,
+			2,
+			3
+		], function (accumulator, value) {
+			return accumulator + value;
+		}).then(function (result) {
+			Assert.equal(6, result);
+		}).then(done, done);
+	});
+	it('rejects an empty list without an initial value', function (done) {
+		FidPromise.reduce([], noop).then(function () {
+			throw new Error('should not resolve');
+		}, function (err) {
+			Assert.ok(err instanceof TypeError);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.resolve()', function () {
+	it('returns a FidPromise unchanged', function () {
+		var p;
+		p = new FidPromise();
+		Assert.strictEqual(p, FidPromise.resolve(p));
+	});
+	it('adopts other thenables', function (done) {
+		FidPromise.resolve({
+			then: function (onSuccess) {
+				onSuccess('adopted');
+			}
+		}).then(function (value) {
+			Assert.equal('adopted', value);
+		}).then(done, done);
+	});
+});
+
+describe('FidPromise.retry()', function () {
+	var delays, oldClock;
+
+	beforeEach(function () {
+		delays = [];
+		oldClock = FidPromise.clock;
+		FidPromise.clock = {
+			clearTimeout: function (handle) {
+				delays[handle] = 'cleared';
+			},
+			setTimeout: function (fn, ms) {
+				delays.push(ms);
+				setTimeout(function () {
+					if (delays[delays.length - 1] !== 'cleared') {
+						fn();
+					}
+				});
+
+				return delays.length - 1;
+			}
+		};
+	});
+	afterEach(function () {
+		FidPromise.clock = oldClock;
+	});
+	it('resolves with the first success', function (done) {
+		FidPromise.retry(function (attempt) {
+			if (attempt < 3) {
+				throw new Error('attempt ' + attempt);
+			}
+			return FidPromise.resolve('worked on ' + attempt);
+		}).then(function (value) {
+			Assert.equal('worked on 3', value);
+			Assert.deepEqual([
+				100,
+				200
+			], delays);
+		}).then(done, done);
+	});
+	it('rejects with every reason when it gives up', function (done) {
+		FidPromise.retry(function (attempt) {
+			return FidPromise.reject('reason ' + attempt);
+		}, {
+			factor: 3,
+			maxDelay: 50,
+			minDelay: 10,
+			retries: 2
+		}).then(function () {
+			throw new Error('should not resolve');
+		}, function (err) {
+			Assert.equal('AggregateError', err.name);
+			Assert.deepEqual([
+				'reason 1',
+				'reason 2',
+				'reason 3'
+			], err.errors);
+			Assert.deepEqual([
+				10,
+				30
+			], delays);
+		}).then(done, done);
+	});
+	it('stops when shouldRetry returns false', function (done) {
+		var calls;
+		calls = [];
+		FidPromise.retry(function () {
+			return FidPromise.reject('permanent');
+		}, {
+			shouldRetry: function (reason, attempt) {
+				calls.push(reason + ' ' + attempt);
+				return false;
+			}
+		}).then(function () {
+			throw new Error('should not resolve');
+		}, function (err) {
+			Assert.deepEqual([
+				'permanent'
+			], err.errors);
+			Assert.deepEqual([
+				'permanent 1'
+			], calls);
+		}).then(done, done);
+	});
+	it('applies jitter', function (done) {
+		FidPromise.retry(function (attempt) {
+			if (attempt < 2) {
+				throw new Error('again');
+			}
+		}, {
+			jitter: true,
+			minDelay: 1000
+		}).then(function () {
+			Assert.equal(1, delays.length);
+			Assert.ok(delays[0] >= 0 && delays[0] <= 1000);
+		}).then(done, done);
+	});
+	it('clears the timer when cancelled', function (done) {
+		var p;
+		p = FidPromise.retry(function () {
+			throw new Error('again');
+		});
+		setTimeout(function () {
+			p.cancel();
+			try {
+				Assert.deepEqual([
+					'cleared'
+				], delays);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+	});
+});
+
+describe('FidPromise.scheduler', function () {
+	var oldScheduler, requests;
+
+	beforeEach(function (done) {
+		oldScheduler = FidPromise.scheduler;
+		requests = [];
+
+		// Let the queue from earlier tests flush first
+		setTimeout(function () {
+			FidPromise.scheduler = function (fn) {
+				requests.push(fn);
+			};
+			done();
+		});
+	});
+	afterEach(function () {
+		FidPromise.scheduler = oldScheduler;
+	});
+	it('flushes every ready callback with one request', function () {
+		var calls, p;
+		calls = [];
+		p = new FidPromise();
+		p.then(function () {
+			calls.push(1);
+		});
+		p.then(function () {
+			calls.push(2);
+		});
+		p.resolve();
+		Assert.equal(1, requests.length);
+		Assert.deepEqual([], calls);
+		requests.shift()();
+		Assert.deepEqual([
+			1,
+			2
+		], calls);
+	});
+	it('runs callbacks that become ready during the same flush', function () {
+		var p, result;
+		p = new FidPromise();
+		p.then(function (value) {
+			return value + 1;
+		}).then(function (value) {
+			result = value;
+		});
+		p.resolve(1);
+		requests.shift()();
+		Assert.equal(2, result);
+		Assert.equal(0, requests.length);
+	});
+	it('lists the built-in strategies', function () {
+		Assert.equal('function', typeof FidPromise.schedulers.setTimeout);
+		Assert.equal('function', typeof FidPromise.schedulers.setImmediate);
+		Assert.equal('function', typeof FidPromise.schedulers.nextTick);
+		Assert.equal('function', typeof FidPromise.schedulers.queueMicrotask);
+		Assert.strictEqual(FidPromise.schedulers.setTimeout, oldScheduler);
+	});
+	it('keeps node running while messageChannel has work queued', function (done) {
+		var script;
+		script = 'var FidPromise = require(' + JSON.stringify(require.resolve('../lib/fid-promise.js')) + ');' +
+			'FidPromise.scheduler = FidPromise.schedulers.messageChannel;' +
+			'FidPromise.resolve(1).then(function (value) { console.log("ran " + value); });';
+		require('child_process').execFile(process.execPath, [
+			'-e',
+			script
+		], function (err, stdout) {
+			try {
+				Assert.ifError(err);
+				Assert.equal('ran 1\n', stdout);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.debug', function () {
+	var oldDebug;
+
+	beforeEach(function () {
+		oldDebug = FidPromise.debug;
+	});
+	afterEach(function () {
+		FidPromise.debug = oldDebug;
+	});
+	it('writes trace events as strings', function () {
+		var messages, p;
+		messages = [];
+		FidPromise.debug = function (message) {
+			messages.push(message);
+		};
+		p = new FidPromise();
+		p.label = 'config';
+		p.resolve('ok');
+		FidPromise.debug = oldDebug;
+		Assert.deepEqual([
+			p.id + ': New promise',
+			p.id + ': [config] complete',
+			p.id + ': [config] Complete - state is now true'
+		], messages);
+	});
+});
+
+describe('FidPromise.Semaphore', function () {
+	beforeEach(function () {
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+	});
+	it('hands out slots in order', function () {
+		var order, release, semaphore;
+		order = [];
+		semaphore = new FidPromise.Semaphore(2);
+		[
+			'a',
+			'b',
+			'c',
+			'd'
+		].forEach(function (name) {
+			semaphore.acquire().then(function (releaseFn) {
+				order.push(name);
+				release = releaseFn;
+			});
+		});
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'a',
+			'b'
+		], order);
+		Assert.equal(0, semaphore.available());
+		Assert.equal(2, semaphore.waiting());
+		release();
+		release();
+		FidPromise.testing.flush();
+		Assert.deepEqual([
+			'a',
+			'b',
+			'c'
+		], order);
+		Assert.equal(1, semaphore.waiting());
+	});
+	it('does not let new callers skip the line', function () {
+		var first, late, semaphore, waiting;
+		semaphore = new FidPromise.Semaphore(1);
+		first = semaphore.acquire();
+		waiting = semaphore.acquire();
+		FidPromise.testing.flush();
+		first.value()();
+		late = semaphore.acquire();
+		FidPromise.testing.flush();
+		Assert.equal(true, waiting.isFulfilled());
+		Assert.equal(true, late.isPending());
+	});
+	it('times out while waiting', function () {
+		var p, semaphore;
+		semaphore = new FidPromise.Semaphore(1);
+		semaphore.acquire();
+		p = semaphore.acquire({
+			timeout: 50
+		});
+		p.error(noop);
+		FidPromise.testing.tick(50);
+		Assert.ok(p.reason() instanceof FidPromise.TimeoutError);
+		Assert.equal('Timed out after 50ms waiting to acquire', p.reason().message);
+		Assert.equal(0, semaphore.waiting());
+	});
+	it('gives up the place in line when cancelled', function () {
+		var first, semaphore;
+		semaphore = new FidPromise.Semaphore(1);
+		first = semaphore.acquire();
+		semaphore.acquire().cancel();
+		Assert.equal(0, semaphore.waiting());
+		FidPromise.testing.flush();
+		first.value()();
+		Assert.equal(1, semaphore.available());
+	});
+	it('releases after runExclusive() fulfils', function () {
+		var p, semaphore;
+		semaphore = new FidPromise.Semaphore(1);
+		p = semaphore.runExclusive(function () {
+			Assert.equal(true, semaphore.isLocked());
+			return FidPromise.resolve('value');
+		});
+		FidPromise.testing.flush();
+		Assert.equal('value', p.value());
+		Assert.equal(false, semaphore.isLocked());
+	});
+	it('releases after runExclusive() rejects or throws', function () {
+		var rejected, semaphore, thrown;
+		semaphore = new FidPromise.Semaphore(1);
+		rejected = semaphore.runExclusive(function () {
+			return FidPromise.reject('bad');
+		});
+		thrown = semaphore.runExclusive(function () {
+			throw new Error('broken');
+		});
+		rejected.error(noop);
+		thrown.error(noop);
+		FidPromise.testing.flush();
+		Assert.equal('bad', rejected.reason());
+		Assert.equal('broken', thrown.reason().message);
+		Assert.equal(1, semaphore.available());
+	});
+	it('releases when runExclusive() is cancelled', function () {
+		var mutex, next, running, work;
+		mutex = new FidPromise.Mutex();
+		work = new FidPromise();
+		running = mutex.runExclusive(function () {
+			return work;
+		});
+		FidPromise.testing.flush();
+		Assert.equal(true, mutex.isLocked());
+		running.cancel();
+		Assert.equal(false, mutex.isLocked());
+		next = mutex.runExclusive(function () {
+			return 'next';
+		});
+		FidPromise.testing.flush();
+		Assert.equal('next', next.value());
+		Assert.equal(false, mutex.isLocked());
+	});
+	it('releases when runExclusive() is cancelled before it starts', function () {
+		var first, mutex, release, waiting;
+		mutex = new FidPromise.Mutex();
+		first = mutex.acquire();
+		waiting = mutex.runExclusive(noop);
+		FidPromise.testing.flush();
+		release = first.value();
+		release();
+		waiting.cancel();
+		FidPromise.testing.flush();
+		Assert.equal(false, mutex.isLocked());
+		Assert.equal(0, mutex.waiting());
+	});
+	it('needs at least one slot', function () {
+		Assert.throws(function () {
+			FidPromise.Semaphore(0);
+		}, TypeError);
+	});
+});
+
+describe('FidPromise.settle()', function () {
+	it('describes every input', function (done) {
+		var input;
+		input = new Map();
+		input.set('good', FidPromise.resolve('yes'));
+		input.set('bad', FidPromise.reject('no'));
+		FidPromise.settle(input).then(function (settlements) {
+			try {
+				Assert.equal('fulfilled', settlements.get('good').status);
+				Assert.equal('yes', settlements.get('good').value);
+				Assert.equal('rejected', settlements.get('bad').status);
+				Assert.equal('no', settlements.get('bad').reason);
+				Assert.equal('bad', settlements.get('bad').index);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('measures how long each input took', function (done) {
+		var slow;
+		slow = new FidPromise();
+		setTimeout(function () {
+			slow.resolve();
+		}, 20);
+		FidPromise.settle([
+			slow
+		]).then(function (settlements) {
+			try {
+				Assert.ok(settlements[0].durationMs >= 15);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.some()', function () {
+	it('calls FidPromise.prototype.some()', function (done) {
+		FidPromise.some([
+			FidPromise.resolve(1),
+			FidPromise.resolve(2),
+			FidPromise.resolve(3)
+		], 2).then(function (values) {
+			try {
+				Assert.deepEqual([
+					1,
+					2
+				], values);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('rejects counts that are not whole numbers of at least 0', function (done) {
+		FidPromise.all([
+			undefined,
+			'two',
+			-1,
+			1.5,
+			Infinity
+		].map(function (count) {
+			return FidPromise.some([
+				1,
+				2,
+				3
+			], count).then(function () {
+				throw new Error('Resolved with ' + count);
+			}, function (err) {
+				Assert.ok(err instanceof TypeError);
+			});
+		})).then(function () {
+			done();
+		}, done);
+	});
+	it('resolves with nothing for a count of 0', function (done) {
+		FidPromise.some([
+			new FidPromise()
+		], 0).then(function (values) {
+			try {
+				Assert.deepEqual([], values);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.spawn()', function () {
+	it('resumes with fulfilled values', function (done) {
+		FidPromise.spawn(function* () {
+			var a, b, c;
+			a = yield FidPromise.resolve(1);
+			b = yield {
+				then: function (onSuccess) {
+					onSuccess(2);
+				}
+			};
+			c = yield 3;
+			return [
+				a,
+				b,
+				c
+			];
+		}).then(function (value) {
+			try {
+				Assert.deepEqual([
+					1,
+					2,
+					3
+				], value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('throws rejections into the generator', function (done) {
+		FidPromise.spawn(function* () {
+			try {
+				yield FidPromise.reject(new Error('bad'));
+			} catch (err) {
+				return 'caught ' + err.message;
+			}
+		}).then(function (value) {
+			try {
+				Assert.equal('caught bad', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('rejects when the generator throws', function (done) {
+		FidPromise.spawn(function* () {
+			yield FidPromise.reject('bad');
+		}).then(null, function (reason) {
+			try {
+				Assert.equal('bad', reason);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('waits on arrays like when()', function (done) {
+		FidPromise.spawn(function* () {
+			return yield [
+				FidPromise.resolve('a'),
+				'b'
+			];
+		}).then(function (value) {
+			try {
+				Assert.deepEqual([
+					'a',
+					'b'
+				], value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+	it('runs each step through the scheduler', function () {
+		var p, steps;
+		FidPromise.testing.enable();
+		try {
+			steps = [];
+			p = FidPromise.spawn(function* () {
+				steps.push(1);
+				yield 'value';
+				steps.push(2);
+			});
+			Assert.deepEqual([], steps);
+			FidPromise.testing.flush();
+			Assert.deepEqual([
+				1,
+				2
+			], steps);
+			Assert.equal(true, p.isFulfilled());
+		} finally {
+			FidPromise.testing.disable();
+		}
+	});
+	it('does not grow the stack in long loops', function (done) {
+		FidPromise.spawn(function* () {
+			var i;
+			for (i = 0; i < 20000; i += 1) {
+				yield i;
+			}
+			return i;
+		}).then(function (value) {
+			try {
+				Assert.equal(20000, value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, done);
+	});
+	it('cancels what it waits on and runs finally blocks', function (done) {
+		var cleanedUp, p, waiting;
+		waiting = new FidPromise();
+		p = FidPromise.spawn(function* () {
+			try {
+				yield waiting;
+			} finally {
+				cleanedUp = true;
+			}
+		});
+		setTimeout(function () {
+			p.cancel();
+			try {
+				Assert.equal(true, cleanedUp);
+				Assert.equal(true, waiting.isCancelled());
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+	it('throws when not given a generator', function () {
+		Assert.throws(function () {
+			FidPromise.spawn({});
+		}, TypeError);
+	});
+});
+
+describe('FidPromise.testing', function () {
+	var oldClock, oldScheduler;
+
+	beforeEach(function () {
+		oldClock = FidPromise.clock;
+		oldScheduler = FidPromise.scheduler;
+		FidPromise.testing.enable();
+	});
+	afterEach(function () {
+		FidPromise.testing.disable();
+		FidPromise.testing.loopLimit = 100000;
+	});
+	it('runs callbacks when flushed', function () {
+		var p, result;
+		p = FidPromise.resolve(2).then(function (value) {
+			return FidPromise.resolve(value * 2);
+		});
+		p.then(function (value) {
+			result = value;
+		});
+		Assert.equal(true, p.isPending());
+		Assert.ok(FidPromise.testing.flush() > 0);
+		Assert.equal(4, p.value());
+		Assert.equal(4, result);
+		Assert.equal(0, FidPromise.testing.flush());
+	});
+	it('runs timers when the clock is ticked', function () {
+		var attempts, p;
+		attempts = 0;
+		p = FidPromise.retry(function () {
+			attempts += 1;
+			throw new Error('failed');
+		}, {
+			minDelay: 100,
+			retries: 2
+		});
+		p.error(noop);
+		FidPromise.testing.flush();
+		Assert.equal(1, attempts);
+		FidPromise.testing.tick(99);
+		Assert.equal(1, attempts);
+		FidPromise.testing.tick(1);
+		Assert.equal(2, attempts);
+		FidPromise.testing.tick(200);
+		Assert.equal(3, attempts);
+		Assert.equal(true, p.isRejected());
+	});
+	it('runs timers in order', function () {
+		var order;
+		order = [];
+		FidPromise.clock.setTimeout(function () {
+			order.push('later');
+		}, 20);
+		FidPromise.clock.setTimeout(function () {
+			order.push('first');
+		}, 10);
+		FidPromise.clock.clearTimeout(FidPromise.clock.setTimeout(function () {
+			order.push('cleared');
+		}, 10));
+		FidPromise.clock.setTimeout(function () {
+			order.push('second');
+		}, 10);
+		FidPromise.testing.tick(50);
+		Assert.deepEqual([
+			'first',
+			'second',
+			'later'
+		], order);
+	});
+	it('uses the virtual clock for durations', function () {
+		var p, slow;
+		slow = new FidPromise();
+		FidPromise.clock.setTimeout(function () {
+			slow.resolve();
+		}, 250);
+		p = FidPromise.settle([
+			slow
+		]);
+		FidPromise.testing.tick(1000);
+		Assert.equal(250, p.value()[0].durationMs);
+	});
+	it('detects infinite resolution loops', function () {
+		function loop() {
+			return FidPromise.resolve().then(loop);
+		}
+
+		FidPromise.testing.loopLimit = 1000;
+		loop();
+		Assert.throws(function () {
+			FidPromise.testing.flush();
+		}, /infinite resolution loop/);
+		Assert.equal(0, FidPromise.testing.flush());
+	});
+	it('throws errors from callbacks nobody can catch when flushed', function () {
+		var p;
+		p = new FidPromise();
+		p.onCancel(function () {
+			throw new Error('thrown from onCancel');
+		});
+		p.then(null, null, function () {
+			throw new Error('thrown from progress');
+		});
+		p.notify('progress');
+		Assert.throws(function () {
+			FidPromise.testing.flush();
+		}, /thrown from progress/);
+		p.cancel();
+		Assert.throws(function () {
+			FidPromise.testing.flush();
+		}, /thrown from onCancel/);
+		Assert.equal(0, FidPromise.testing.flush());
+		Assert.equal(true, p.isCancelled());
+	});
+	it('holds back work that was queued before it was enabled', function (done) {
+		var called;
+		FidPromise.testing.disable();
+		FidPromise.resolve().then(function () {
+			called = true;
+		});
+		FidPromise.testing.enable();
+		setTimeout(function () {
+			try {
+				Assert.equal(undefined, called);
+				FidPromise.testing.flush();
+				Assert.equal(true, called);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		}, 10);
+	});
+	it('puts everything back when disabled', function (done) {
+		var p;
+		p = FidPromise.resolve('value').then(function (value) {
+			return value;
+		});
+		FidPromise.testing.disable();
+		Assert.strictEqual(oldClock, FidPromise.clock);
+		Assert.strictEqual(oldScheduler, FidPromise.scheduler);
+		Assert.throws(function () {
+			FidPromise.testing.flush();
+		}, /not enabled/);
+		p.then(function (value) {
+			try {
+				Assert.equal('value', value);
+				done();
+			} catch (e) {
+				done(e);
+			}
+		});
+	});
+});
+
+describe('FidPromise.TimeoutError', function () {
+	it('is an Error', function () {
+		var err;
+		err = new FidPromise.TimeoutError('slow');
+		Assert.ok(err instanceof Error);
+		Assert.equal('TimeoutError', err.name);
+		Assert.equal('slow', err.message);
+		Assert.ok(/TimeoutError: slow/.test(err.stack));
+	});
+	it('works without new', function () {
+		Assert.ok(FidPromise.TimeoutError('slow') instanceof FidPromise.TimeoutError);
+	});
+});
+
+describe('FidPromise.toChromeTrace()', function () {
+	it('converts events', function () {
+		var trace;
+		trace = FidPromise.toChromeTrace([
+			{
+				id: 'a',
+				message: 'New promise',
+				time: 1,
+				type: 'created'
+			},
+			{
+				childId: 'b',
+				id: 'a',
+				message: 'Adding callbacks and creating new promise',
+				time: 2,
+				type: 'callbacksAdded'
+			},
+			{
+				id: 'b',
+				label: 'child',
+				message: 'New promise',
+				time: 2.5,
+				type: 'created'
+			},
+			{
+				childId: 'b',
+				id: 'a',
+				message: 'Calling callback',
+				time: 3,
+				type: 'callbackStarted'
+			},
+			{
+				childId: 'b',
+				id: 'a',
+				message: 'Callback returned',
+				time: 4,
+				type: 'callbackFinished'
+			},
+			{
+				id: 'b',
+				label: 'child',
+				message: 'Complete - state is now false',
+				state: false,
+				time: 5,
+				type: 'settled'
+			}
+		]);
+		Assert.equal('ms', trace.displayTimeUnit);
+		Assert.deepEqual([
+			'b',
+			'n',
+			'b',
+			'B',
+			'E',
+			'e'
+		], trace.traceEvents.map(function (event) {
+			return event.ph;
+		}));
+		Assert.equal(1000, trace.traceEvents[0].ts);
+		Assert.equal('promise', trace.traceEvents[0].name);
+		Assert.equal('child', trace.traceEvents[2].name);
+		Assert.equal('a', trace.traceEvents[2].args.parentId);
+		Assert.equal('b', trace.traceEvents[5].id);
+		Assert.equal(false, trace.traceEvents[5].args.state);
+	});
+});
+
+describe('FidPromise.toDot()', function () {
+	it('writes nodes and edges', function () {
+		var dot;
+		dot = FidPromise.toDot({
+			edges: [
+				{
+					from: 'a',
+					to: 'b',
+					type: 'then'
+				}
+			],
+			nodes: [
+				{
+					id: 'a',
+					label: 'say "hi"',
+					state: 'fulfilled'
+				},
+				{
+					id: 'b',
+					state: 'pending'
+				}
+			]
+		});
+		Assert.equal([
+			'digraph promises {',
+			'    "a" [label="say \\"hi\\"\\na\\nfulfilled", style=filled, fillcolor=palegreen];',
+			'    "b" [label="b\\npending", style=filled, fillcolor=gold, penwidth=3];',
+			'    "a" -> "b" [label="then"];',
+			'}',
+			''
+		].join('\n'), dot);
+	});
+});
+
+describe('FidPromise.traceRecorder()', function () {
+	it('records events until stopped', function () {
+		var p, recorder;
+		recorder = FidPromise.traceRecorder();
+		p = new FidPromise();
+		recorder.stop();
+		p.resolve();
+		Assert.equal(1, recorder.events.length);
+		Assert.equal(p.id, recorder.toChromeTrace().traceEvents[0].id);
+		JSON.stringify(recorder.toChromeTrace());
 	});
 });
 